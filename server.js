@@ -4,8 +4,44 @@
 // - PROXY_MOUNT (default "/tickets")
 // - SHOPIFY_API_VERSION or API_VERSION (fallback "2024-10")
 // - ADMIN_UI_KEY           (Bearer for programmatic admin API)
-// - UI_USER, UI_PASS       (staff credentials for the HTML login)
+// - ADMIN_SUPERVISOR_KEY   (Bearer with supervisor rights: everything ADMIN_UI_KEY can do,
+//                           plus reopening closed tickets via /admin/tickets/reopen)
+// - UI_USER, UI_PASS       (first admin account, seeded when the staff file is empty)
+// - STAFF_FILE             (staff accounts JSON; default ./data/staff.json)
 // - UI_SESSION_SECRET      (signing key for cookie; defaults to ADMIN_UI_KEY or "change-me")
+// - TICKET_STORE           ("shopify" default | "file" | "memory" — local backends need no shop/token)
+// - TICKET_STORE_FILE      (JSON file for TICKET_STORE=file; default ./data/tickets.json)
+// - TICKET_STORE_SEED      (TICKET_STORE=memory: JSON file with orders to start from, not written back)
+// - TICKET_INDEX=0         (shopify store: disable the local ticket index, crawl orders per list)
+// - TICKET_INDEX_FILE      (default ./data/ticket-index.json), TICKET_INDEX_SYNC_SEC (default 120)
+// - SHOPIFY_WEBHOOK_SECRET (app API secret; verifies /webhooks/shopify deliveries)
+// - SLA_CONFIG_FILE        (SLA targets JSON; default ./config/sla.json)
+// - CATEGORIES_FILE        (issue categories JSON; default ./config/categories.json)
+// - ATTACHMENT_STORE       ("shopify" Files | "local" disk; default follows TICKET_STORE)
+// - ATTACHMENT_DIR         (local store; default ./data/attachments)
+// - ATTACHMENT_MAX_MB      (per file, default 10), ATTACHMENT_MAX_COUNT (per ticket, default 10)
+// - AUTO_CLOSE_DAYS        (warn tickets with no customer activity for N days, then close
+//                           them AUTO_CLOSE_GRACE_DAYS later (default 3); unset/0 = off)
+// - AUTO_CLOSE_STATUSES    (comma list, default "in_progress"), AUTO_CLOSE_INTERVAL_MIN (default 60)
+// - AUTO_CLOSE_DRY_RUN=1   (log what the scheduler would do, write nothing)
+// - EMAIL_TRANSPORT        ("smtp" | "file" | "console"; unset = no customer emails)
+// - EMAIL_FROM, EMAIL_SHOP_NAME (sender + name used in the templates, default "ZUVIC")
+// - SMTP_URL or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+// - EMAIL_OUTBOX_DIR       (file transport: one .eml per email; default ./data/outbox)
+// - EMAIL_TEMPLATES_DIR    (default ./config/email-templates), EMAIL_LOG_FILE (default ./data/email-log.json)
+// - EMAIL_MAX_ATTEMPTS     (per email before it's marked failed, default 5)
+// - OUTBOUND_WEBHOOK_URLS   (comma list of subscriber URLs for ticket lifecycle events; unset = off)
+// - OUTBOUND_WEBHOOK_SECRET (HMAC key for X-Ticket-Signature; required with URLs)
+// - OUTBOUND_WEBHOOK_EVENTS (optional comma list to send only some events, e.g. "ticket.created,ticket.closed")
+// - WEBHOOK_LOG_FILE       (delivery log, default ./data/webhook-log.json), WEBHOOK_MAX_ATTEMPTS (default 8)
+// - ORDER_CONTEXT_TTL_SEC  (cache for the modal's order panel, default 60; orders/updated webhooks drop it early)
+// - ORDER_ACTION_ROLES     (lowest staff role per panel order action,
+//                           default "refund:supervisor,cancel:supervisor,return:agent")
+// - AUTO_ASSIGN=round_robin (assign new tickets in turn to active staff in AUTO_ASSIGN_ROLES, default "agent")
+// - TICKET_ID_PREFIX       (prefix for server-generated ticket ids, default "ZT")
+// - PROXY_MAX_AGE_SEC      (max App Proxy signature age, default 300; 0 = no limit)
+// - PROXY_ALLOW_GUEST=0    (proxy: require a logged-in customer; default allows guests
+//                           who give the order email + order name)
 // Optional: SKIP_PROXY_VERIFY=1
 
 import express from "express";
@@ -16,6 +52,9 @@ import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import cookieParser from "cookie-parser";
 import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { EventEmitter, once } from "events";
+import nodemailer from "nodemailer";
 
 // Polyfill fetch if running on a Node build without global fetch
 if (!globalThis.fetch) {
@@ -39,7 +78,13 @@ app.use(
 );
 app.use(rateLimit({ windowMs: 60_000, max: 180 }));
 app.use(cookieParser());
-app.use(express.json({ limit: "512kb" }));
+app.use(
+  express.json({
+    limit: "512kb",
+    // keep the exact bytes for webhook HMAC verification
+    verify(req, _res, buf) { req.rawBody = buf; },
+  })
+);
 app.use(express.urlencoded({ extended: false }));
 app.use(
   express.static(path.join(__dirname, "public"), {
@@ -59,6 +104,9 @@ const ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN || "";
 const API_VERSION =
   process.env.SHOPIFY_API_VERSION || process.env.API_VERSION || "2024-10";
 const SKIP_VERIFY = process.env.SKIP_PROXY_VERIFY === "1";
+// Max age of an App Proxy signature (its `timestamp` param); 0 disables the check
+const PROXY_MAX_AGE_SEC = Number(process.env.PROXY_MAX_AGE_SEC ?? 300);
+const WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET || "";
 
 // ---------- utils
 app.get("/healthz", (_req, res) => res.type("text").send("ok"));
@@ -76,11 +124,48 @@ function normalizeStatus(s) {
 function isClosed(s) {
   return normalizeStatus(s) === "closed";
 }
+function escHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
 function truthy(v) {
   const x = String(v ?? "").trim().toLowerCase();
   return x === "1" || x === "true" || x === "yes";
 }
 
+// Conversation thread: ordered [{ author: "customer"|"staff", at, body, by? }].
+// Legacy tickets only carry `message` / `admin_reply` — fold them in on read.
+function threadOf(t) {
+  if (Array.isArray(t?.messages)) return t.messages.slice();
+  const out = [];
+  if (t?.message) out.push({ author: "customer", at: t.created_at || null, body: String(t.message) });
+  if (t?.admin_reply) out.push({ author: "staff", at: t.updated_at || null, body: String(t.admin_reply) });
+  return out;
+}
+// `by` names the staff user for staff messages (omitted for customers / API key)
+function appendMessage(t, author, body, at, by) {
+  const messages = threadOf(t);
+  const text = String(body ?? "").trim().slice(0, 4000);
+  if (!text) return messages;
+  const last = messages[messages.length - 1];
+  if (last && last.author === author && last.body === text) return messages; // resubmit
+  messages.push(by ? { author, at, body: text, by } : { author, at, body: text });
+  return messages;
+}
+
+// Status audit trail: append-only [{ from, to, actor, at }], one entry per change.
+// actor: { type: "customer", id } | { type: "staff", id } | { type: "api_key" }
+// Shopify order actions land here too, as { from, to (unchanged), actor, at, action }.
+function historyWith(prev, to, actor, at) {
+  const history = Array.isArray(prev?.history) ? prev.history.slice() : [];
+  const from = prev?.status ? normalizeStatus(prev.status) : null;
+  if (from !== to) history.push({ from, to, actor, at });
+  return history;
+}
+
+// A ticket's first save writes created_at and updated_at together. (Not
+// version 1: tickets stored before versioning reach it on their first edit.)
+const isNewTicket = (t) => Boolean(t.created_at) && t.created_at === t.updated_at;
+
 // App Proxy signature helpers
 function expectedHmacFromReq(req, secret) {
   const rawQs = req.originalUrl.split("?")[1] || "";
@@ -105,6 +190,77 @@ function verifyProxySignature(req) {
   return a.length === b.length && crypto.timingSafeEqual(a, b);
 }
 
+// Requests already accepted on state-changing routes → expiry (ms), oldest first.
+// Kept only as long as the signature could still pass the freshness check.
+// Shopify signs just the query (timestamp to the second), so the key adds the
+// path and body: two different requests signed in the same second both pass.
+const usedProxySignatures = new Map();
+const PROXY_REPLAY_TTL_MS = (PROXY_MAX_AGE_SEC > 0 ? PROXY_MAX_AGE_SEC : 600) * 1000;
+
+// Full App Proxy check: HMAC, timestamp freshness and — with `once` — single
+// use. Returns null when OK, else the error code to send back.
+function proxySignatureError(req, { once = false } = {}) {
+  if (SKIP_VERIFY) return null;
+  if (!verifyProxySignature(req)) return "invalid_signature";
+
+  if (PROXY_MAX_AGE_SEC > 0) {
+    const ts = Number(req.query.timestamp);
+    if (!Number.isFinite(ts)) return "invalid_signature";
+    if (Math.abs(Date.now() / 1000 - ts) > PROXY_MAX_AGE_SEC) return "signature_expired";
+  }
+
+  if (once) {
+    const now = Date.now();
+    for (const [key, exp] of usedProxySignatures) {
+      if (exp > now) break;
+      usedProxySignatures.delete(key);
+    }
+    const body = crypto.createHash("sha256").update(req.rawBody || JSON.stringify(req.body ?? null)).digest("hex");
+    const key = `${String(req.query.signature).toLowerCase()} ${req.path} ${body}`;
+    if (usedProxySignatures.has(key)) return "signature_replayed";
+    usedProxySignatures.set(key, now + PROXY_REPLAY_TTL_MS);
+  }
+  return null;
+}
+
+// App Proxy ownership. Shopify appends logged_in_customer_id to proxied
+// requests; a signed-in customer must own the order. Guests (if allowed) must
+// prove it with the order's email + order name. Returns null or an error code.
+const PROXY_ALLOW_GUEST = process.env.PROXY_ALLOW_GUEST !== "0";
+const OWNERSHIP_STATUS = {
+  order_not_found: 404,
+  order_not_owned: 403,
+  login_required: 401,
+  guest_verification_required: 400,
+  guest_verification_failed: 403,
+};
+function orderOwnershipError(req, order, { email, order_name } = {}) {
+  if (!order) return "order_not_found";
+  const customerId = String(req.query.logged_in_customer_id || "").trim();
+  if (customerId) {
+    return order.customerId && String(order.customerId) === customerId ? null : "order_not_owned";
+  }
+  if (!PROXY_ALLOW_GUEST) return "login_required";
+  const mail = (v) => String(v || "").trim().toLowerCase();
+  const orderName = (v) => String(v || "").trim().replace(/^#/, "").toLowerCase();
+  if (!mail(email) || !orderName(order_name)) return "guest_verification_required";
+  const ok = mail(email) === mail(order.email) && orderName(order_name) === orderName(order.name);
+  return ok ? null : "guest_verification_failed";
+}
+function sendOwnershipError(res, code) {
+  return res.status(OWNERSHIP_STATUS[code] || 403).json({ ok: false, error: code });
+}
+
+// Webhook signature: base64 HMAC-SHA256 of the raw body with the app secret
+function verifyWebhookSignature(req) {
+  const provided = String(req.get("X-Shopify-Hmac-Sha256") || "");
+  if (!WEBHOOK_SECRET || !provided || !req.rawBody) return false;
+  const expected = crypto.createHmac("sha256", WEBHOOK_SECRET).update(req.rawBody).digest("base64");
+  const a = Buffer.from(provided, "utf8");
+  const b = Buffer.from(expected, "utf8");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 // Shopify Admin GraphQL helper
 async function adminGraphQL(query, variables = {}) {
   if (!SHOPIFY_SHOP || !ADMIN_TOKEN) {
@@ -127,377 +283,2448 @@ async function adminGraphQL(query, variables = {}) {
   return body.data;
 }
 
-// ======================================================================
-// App Proxy endpoints (storefront)
-// ======================================================================
-app.post(`${PROXY_MOUNT}/attach-ticket`, async (req, res) => {
-  try {
-    if (!verifyProxySignature(req))
-      return res.status(401).json({ ok: false, error: "invalid_signature" });
+// ---------- optimistic concurrency
+// Each ticket carries an integer `version`, bumped by every save. Clients echo
+// back the version they last saw; stores reject writes based on a stale one.
+function conflictError(ticket) {
+  const e = new Error("conflict");
+  e.code = "conflict";
+  e.ticket = ticket || null;
+  return e;
+}
+// Request-level failure carrying its HTTP status; message is the error code
+function httpError(status, code) {
+  return Object.assign(new Error(code), { status });
+}
+// `view` trims the latest ticket for the caller (customerTicket on proxy routes)
+function sendConflict(res, e, view = (t) => t) {
+  return res.status(409).json({ ok: false, error: "conflict", ticket: e.ticket && view(e.ticket) });
+}
+// `expected` is the version the client last saw; absent → no check (legacy callers)
+function checkVersion(prev, expected) {
+  if (expected === undefined || expected === null || expected === "") return;
+  if (Number(expected) !== Number(prev?.version || 0)) throw conflictError(prev?.ticket_id ? prev : null);
+}
 
-    const {
-      order_id,
-      ticket_id,
-      status = "pending",
-      issue = "",
-      message = "",
-      phone = "",
-      email = "",
-      name = "",
-      order_name = "",
-      created_at,
-      // NEW: explicit reopen flag allowed from storefront
-      reopen
-    } = req.body || {};
+// ---------- local JSON data files (ticket store, index, …)
+function readJsonFile(file, fallback) {
+  if (!file || !fs.existsSync(file)) return fallback;
+  try { return JSON.parse(fs.readFileSync(file, "utf8")) ?? fallback; } catch (e) {
+    throw new Error(`cannot read ${file}: ${e.message}`);
+  }
+}
+// Serialised atomic writes (tmp file + rename); a failed write doesn't block later ones.
+function createJsonFileWriter(file, { space } = {}) {
+  let chain = Promise.resolve();
+  return function save(data) {
+    const snapshot = JSON.stringify(data, null, space);
+    const p = chain.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    });
+    chain = p.catch(() => {});
+    return p;
+  };
+}
 
-    if (!order_id || !ticket_id) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "missing_fields", fields: ["order_id", "ticket_id"] });
-    }
+const PRIORITIES = ["low", "normal", "high", "urgent"];
+const PRIORITY_RANK = { low: 0, normal: 1, high: 2, urgent: 3 };
 
-    const orderGid = `gid://shopify/Order/${String(order_id)}`;
+// Flattens a stored ticket into the list/record shape served to the admin side.
+function toRecord(t, key, base) {
+  return {
+    ...base,
+    ticket_id: t.ticket_id || key,
+    status: normalizeStatus(t.status) || "pending",
+    issue: t.issue || "",
+    message: t.message || "",
+    admin_reply: t.admin_reply || "",
+    messages: threadOf(t),
+    phone: t.phone || "",
+    email: t.email || "",
+    name: t.name || "",
+    created_at: t.created_at || base.order_created_at,
+    updated_at: t.updated_at || base.order_updated_at,
+    assignee: t.assignee || null,
+    version: Number(t.version || 0),
+    history: Array.isArray(t.history) ? t.history : [],
+    attachments: Array.isArray(t.attachments) ? t.attachments.map(publicAttachment) : [],
+    notes: Array.isArray(t.notes) ? t.notes : [],
+    priority: PRIORITIES.includes(t.priority) ? t.priority : "normal",
+    tags: Array.isArray(t.tags) ? t.tags : [],
+    category: t.category || null,
+    auto_close_at: t.auto_close_at || null,
+    auto_close_warned_at: t.auto_close_warned_at || null,
+    closed_at: t.closed_at || null,
+    closed_by: t.closed_by || null,
+    reopened_at: t.reopened_at || null,
+    reopened_by: t.reopened_by || null,
+    reopen_reason: t.reopen_reason || null,
+  };
+}
+// storage ref stays server-side; clients fetch through /admin/ui/attachments
+const publicAttachment = ({ ref, ...a }) => a;
+// The storefront's view of a ticket: every App Proxy response goes through
+// this. Internal notes ([{ at, by, body }], staff-only), staff reopen reasons
+// and order-action history entries (amounts, Shopify ids/errors, staff) never
+// leave the admin side.
+function customerTicket(t) {
+  if (!t) return t;
+  const { notes, reopen_reason, ...rest } = t;
+  if (Array.isArray(rest.attachments)) rest.attachments = rest.attachments.map(publicAttachment);
+  if (Array.isArray(rest.history))
+    rest.history = rest.history.filter((h) => !h.action).map(({ reason, ...h }) => h);
+  return rest;
+}
+// List filter: { since, status, assignee, q, from, to, priority, tag, category } —
+// assignee is a staff user id or "none" for unassigned tickets; q is free text
+// (see matchesText); from/to bound created_at (ISO strings, `to` exclusive);
+// priority is a list; category "none" matches uncategorized tickets.
+function matchesFilter(rec, { since, status, assignee, q, from, to, priority, tag, category } = {}) {
+  if (status && status !== "all" && rec.status !== normalizeStatus(status)) return false;
+  if (since && Date.parse(rec.updated_at) < Date.parse(since)) return false;
+  if (from && !(Date.parse(rec.created_at) >= Date.parse(from))) return false;
+  if (to && !(Date.parse(rec.created_at) < Date.parse(to))) return false;
+  if (assignee === "none" && rec.assignee) return false;
+  if (assignee && assignee !== "none" && rec.assignee !== assignee) return false;
+  if (priority?.length && !priority.includes(rec.priority)) return false;
+  if (tag && !(rec.tags || []).includes(tag)) return false;
+  if (category && (category === "none" ? rec.category : rec.category !== category)) return false;
+  return matchesText(rec, q);
+}
+// Every whitespace-separated term must appear in one of the ticket's text
+// fields (thread included); digit-only terms also match the phone's digits.
+function matchesText(rec, q) {
+  const terms = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const text = [
+    rec.ticket_id, rec.order_name, rec.name, rec.email, rec.phone, rec.issue,
+    rec.message, rec.admin_reply, ...(rec.messages || []).map((m) => m.body),
+    ...(rec.notes || []).map((n) => n.body), ...(rec.tags || []),
+  ].filter(Boolean).join("\n").toLowerCase();
+  const digits = String(rec.phone || "").replace(/\D/g, "");
+  return terms.every((w) => text.includes(w) || (/^\d{3,}$/.test(w) && digits.includes(w)));
+}
 
-    const d1 = await adminGraphQL(
-      `query GetOrder($id: ID!) { order(id: $id) { id name tickets: metafield(namespace:"support", key:"tickets"){ id value } } }`,
-      { id: orderGid }
-    );
+// ---------- List paging
+// Lists sort on one record field, then order_id/ticket_id so ties stay stable.
+// Cursors are keyset positions (the last row's sort value + id), so a page
+// doesn't shift when tickets are created or updated between requests.
+// "sla" ranks by risk (SLA_RANK, worst first when desc) then soonest due; it
+// moves with the clock, so its pages can shift as tickets fall due.
+const LIVE_LIST_MAX = 1000;
+const LIVE_LIST_MAX_ORDERS = 2000;
+const LIST_SORTS = ["updated_at", "created_at", "status", "priority", "sla", "issue", "order_name", "ticket_id"];
 
-    let map = {};
-    const mf = d1?.order?.tickets;
-    if (mf?.value) {
-      try { map = JSON.parse(mf.value); } catch { map = {}; }
-    }
+const cmpStr = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+function slaKey(rec) {
+  const { sla } = withSla(rec);
+  const due = sla?.due_at ? 9e12 - Date.parse(sla.due_at) : 0; // inverted: soonest due sorts last ascending
+  return `${(SLA_RANK[sla?.status] ?? -1) + 1}${String(due).padStart(13, "0")}`;
+}
+const recordKey = (rec, sort) => [
+  sort === "priority" ? String(PRIORITY_RANK[rec.priority] ?? 1)
+    : sort === "sla" ? slaKey(rec)
+    : String(rec[sort] ?? ""),
+  `${rec.order_id}/${rec.ticket_id}`,
+];
 
-    const now = new Date().toISOString();
-    const prev = map[ticket_id] || {};
-    let st = normalizeStatus(status);
+function encodeCursor(c) {
+  return Buffer.from(JSON.stringify(c)).toString("base64url");
+}
+// → { v, id } for the given sort/order, or throws 400 invalid_cursor
+function decodeCursor(raw, sort, order) {
+  let c;
+  try { c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8")); } catch {}
+  if (!c || c.s !== sort || c.o !== order || typeof c.v !== "string" || typeof c.id !== "string")
+    throw httpError(400, "invalid_cursor");
+  return { v: c.v, id: c.id };
+}
 
-    // Reopen rule — only customer via proxy can reopen closed
-    const wantsReopen =
-      truthy(reopen) || String(status || "").toLowerCase() === "reopen";
+// records → { tickets, next_cursor } for filter { sort, order, cursor, limit }
+function pageRecords(records, { sort = "updated_at", order = "desc", cursor, limit } = {}) {
+  const max = Math.min(Math.max(Number(limit) || 200, 1), 1000);
+  const dir = order === "asc" ? 1 : -1;
+  const cmp = (a, b) => dir * (cmpStr(a[0], b[0]) || cmpStr(a[1], b[1]));
+  const keyed = records.map((rec) => [recordKey(rec, sort), rec]).sort((a, b) => cmp(a[0], b[0]));
 
-    if (isClosed(prev.status)) {
-      if (!wantsReopen) {
-        return res.status(423).json({ ok: false, error: "ticket_closed_use_reopen" });
-      }
-      st = "pending"; // reopen → back to pending
+  let start = 0;
+  if (cursor) {
+    start = keyed.findIndex(([k]) => cmp(k, [cursor.v, cursor.id]) > 0);
+    if (start < 0) start = keyed.length;
+  }
+  const page = keyed.slice(start, start + max);
+  const last = page[page.length - 1];
+  return {
+    tickets: page.map(([, rec]) => rec),
+    next_cursor:
+      last && start + max < keyed.length ? encodeCursor({ s: sort, o: order, v: last[0][0], id: last[0][1] }) : null,
+  };
+}
+
+// ---------- TicketStore
+// Every route goes through this interface; backend picked by TICKET_STORE:
+//   getTicket(orderId, ticketId)          → { order, ticket }   (order null = unknown order)
+//   saveTicket(orderId, ticket, baseVer)  → saved ticket (version bumped); conflictError if
+//                                           the stored version is no longer `baseVer`
+//   listTickets(filter)                   → { tickets, next_cursor }: records matching
+//                                           matchesFilter, one page via pageRecords
+//   updateTickets(orderId, ids, apply)    → [{ ticket_id, ok, ticket | error }]: one write
+//                                           for the order; apply(prev, order, id) returns
+//                                           the next ticket, and a throw fails only that id
+//   scanTickets(filter)                   → async iterable of every matching record,
+//                                           unsorted and uncapped (exports)
+//   listByOrder(orderId)                  → { order, tickets }
+// order: { id, name, createdAt, email, customerId, updatedAt?, cancelledAt? }
+
+// Runs `apply` over `ids` against an order's ticket map (mutated in place), for
+// updateTickets. Versions are bumped here; errors are kept per ticket.
+function applyBatch(map, order, ids, apply) {
+  return ids.map((ticket_id) => {
+    const prev = map[ticket_id];
+    if (!prev) return { ticket_id, ok: false, error: httpError(404, "ticket_not_found") };
+    try {
+      const next = { ...apply(prev, order, ticket_id), version: Number(prev.version || 0) + 1 };
+      map[ticket_id] = next;
+      return { ticket_id, ok: true, ticket: next };
+    } catch (error) {
+      return { ticket_id, ok: false, error };
     }
+  });
+}
 
-    map[ticket_id] = {
-      ticket_id,
-      status: st,
-      issue: issue || prev.issue || "",
-      message: message || prev.message || "",
-      phone: phone || prev.phone || "",
-      email: email || prev.email || "",
-      name: name || prev.name || "",
-      order_id,
-      order_name: order_name || d1?.order?.name || prev.order_name || "",
-      created_at: prev.created_at || created_at || now,
-      updated_at: now,
-      reopened_at: (isClosed(prev.status) && wantsReopen) ? now : (prev.reopened_at || undefined),
-      reopened_by: (isClosed(prev.status) && wantsReopen) ? "customer" : (prev.reopened_by || undefined),
-    };
+// Shopify: tickets live in the order's support.tickets JSON metafield. Writes
+// are compare-and-set on the metafield's compareDigest, so two writers racing
+// on the same order can't silently clobber each other.
+function createShopifyTicketStore() {
+  async function loadMap(orderId) {
+    const orderGid = `gid://shopify/Order/${String(orderId)}`;
+    const d = await adminGraphQL(
+      `query GetOrder($id: ID!) {
+        order(id: $id) {
+          id name createdAt updatedAt cancelledAt email
+          customer { id }
+          tickets: metafield(namespace:"support", key:"tickets"){ value compareDigest }
+          tId:     metafield(namespace:"support", key:"ticket_id"){ value }
+          tStatus: metafield(namespace:"support", key:"ticket_status"){ value }
+        }
+      }`,
+      { id: orderGid }
+    );
+    const node = d?.order || null;
+    let map = {};
+    const mf = node?.tickets;
+    if (mf?.value) {
+      try { map = JSON.parse(mf.value) || {}; } catch { map = {}; }
+    }
+    const order = node
+      ? {
+          id: String(orderId),
+          name: node.name,
+          createdAt: node.createdAt,
+          updatedAt: node.updatedAt,
+          cancelledAt: node.cancelledAt,
+          email: node.email || "",
+          customerId: node.customer?.id ? String(node.customer.id).split("/").pop() : null,
+        }
+      : null;
+    // digest null → metafield doesn't exist yet; Shopify then only accepts a create
+    return { orderGid, node, order, map, digest: mf?.compareDigest ?? null };
+  }
 
-    const d2 = await adminGraphQL(
-      `mutation Save($ownerId:ID!, $value:String!, $tid:String!, $st:String!){
+  // Compare-and-set of the whole map; ticket_id/ticket_status mirror `latest`.
+  // → the first userError (code STALE_OBJECT = digest moved), or undefined
+  async function writeMap(orderGid, map, latest, digest) {
+    const d = await adminGraphQL(
+      `mutation Save($ownerId:ID!, $value:String!, $tid:String!, $st:String!, $digest:String){
         metafieldsSet(metafields:[
-          { ownerId:$ownerId, namespace:"support", key:"tickets", type:"json", value:$value },
+          { ownerId:$ownerId, namespace:"support", key:"tickets", type:"json", value:$value, compareDigest:$digest },
           { ownerId:$ownerId, namespace:"support", key:"ticket_id", type:"single_line_text_field", value:$tid },
           { ownerId:$ownerId, namespace:"support", key:"ticket_status", type:"single_line_text_field", value:$st }
-        ]) { userErrors { field message } }
+        ]) { userErrors { field message code } }
       }`,
-      { ownerId: orderGid, value: JSON.stringify(map), tid: ticket_id, st: st }
+      { ownerId: orderGid, value: JSON.stringify(map), tid: latest.ticket_id, st: latest.status, digest }
     );
+    return d?.metafieldsSet?.userErrors?.[0];
+  }
 
-    const err = d2?.metafieldsSet?.userErrors?.[0];
-    if (err) throw new Error(err.message);
+  // Walks orders updated since `since` (newest first, uncapped), yielding
+  // { order_id, records } per order — records is [] when it has no tickets.
+  async function* crawl({ since } = {}) {
+    let after = null;
+    const shopQuery = since ? `updated_at:>=${since}` : null;
 
-    res.json({ ok: true, ticket: map[ticket_id] });
-  } catch (e) {
-    console.error("[attach-ticket]", e);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
-  }
-});
+    for (;;) {
+      const data = await adminGraphQL(
+        `query Orders($first:Int!,$after:String,$query:String){
+          orders(first:$first, after:$after, query:$query, sortKey:UPDATED_AT, reverse:true){
+            edges{
+              cursor
+              node{
+                id name createdAt updatedAt cancelledAt
+                mfJSON: metafield(namespace:"support", key:"tickets"){ value }
+                mfId:   metafield(namespace:"support", key:"ticket_id"){ value }
+                mfSt:   metafield(namespace:"support", key:"ticket_status"){ value }
+              }
+            }
+            pageInfo{ hasNextPage }
+          }
+        }`,
+        { first: 50, after, query: shopQuery }
+      );
 
-app.get(`${PROXY_MOUNT}/find-ticket`, async (req, res) => {
-  try {
-    if (!verifyProxySignature(req))
-      return res.status(401).json({ ok: false, error: "invalid_signature" });
+      const edges = data?.orders?.edges || [];
+      if (!edges.length) return;
 
-    const ticket_id = String(req.query.ticket_id || "").trim();
-    const order_id = String(req.query.order_id || "").trim();
-    if (!ticket_id) return res.status(400).json({ ok: false, error: "missing ticket_id" });
-    if (!order_id) return res.status(400).json({ ok: false, error: "missing order_id" });
+      for (const { cursor, node } of edges) {
+        after = cursor;
+        const orderId = Number(String(node.id).split("/").pop());
+        const base = {
+          order_id: orderId,
+          order_name: node.name,
+          order_created_at: node.createdAt,
+          order_updated_at: node.updatedAt,
+          order_cancelled_at: node.cancelledAt || null,
+        };
 
-    const orderGid = `gid://shopify/Order/${order_id}`;
-    const d = await adminGraphQL(
-      `query GetOrderForTicket($id: ID!) {
-        order(id: $id) {
-          id name createdAt
-          tickets: metafield(namespace:"support", key:"tickets"){ value }
-          tId:     metafield(namespace:"support", key:"ticket_id"){ value }
-          tStatus: metafield(namespace:"support", key:"ticket_status"){ value }
+        let map = {};
+        const raw = node.mfJSON?.value;
+        if (raw) { try { map = JSON.parse(raw) || {}; } catch {} }
+
+        let records = Object.entries(map).map(([key, t]) => toRecord(t, key, base));
+        if (!records.length && node.mfId?.value) {
+          records = [toRecord({ ticket_id: node.mfId.value, status: node.mfSt?.value || "pending" }, node.mfId.value, base)];
         }
-      }`,
-      { id: orderGid }
-    );
+        yield { order_id: orderId, records };
+      }
+      if (!data?.orders?.pageInfo?.hasNextPage) return;
+    }
+  }
 
-    const order = d?.order;
-    if (!order) return res.json({ ok: false, error: "order_not_found" });
+  async function* scanTickets(filter = {}) {
+    for await (const { records } of crawl({ since: filter.since })) {
+      for (const rec of records) if (matchesFilter(rec, filter)) yield rec;
+    }
+  }
 
-    let ticket = null, status = null;
+  return {
+    kind: "shopify",
 
-    const json = order.tickets?.value;
-    if (json) try {
-      const map = JSON.parse(json);
-      if (map && map[ticket_id]) { ticket = map[ticket_id]; status = ticket.status || null; }
-    } catch {}
+    async getTicket(orderId, ticketId) {
+      const { node, order, map } = await loadMap(orderId);
+      let ticket = map[ticketId] || null;
+      // legacy single-ticket orders only carry ticket_id / ticket_status
+      if (!ticket && node?.tId?.value === ticketId) {
+        ticket = { ticket_id: ticketId, status: node.tStatus?.value || "pending" };
+      }
+      return { order, ticket };
+    },
 
-    if (!ticket && order.tId?.value === ticket_id) {
-      ticket = { ticket_id, status: order.tStatus?.value || "pending" };
-      status = ticket.status;
-    }
+    async saveTicket(orderId, ticket, baseVersion = 0) {
+      const { orderGid, map, digest } = await loadMap(orderId);
+      const current = map[ticket.ticket_id];
+      if (Number(current?.version || 0) !== Number(baseVersion || 0)) throw conflictError(current);
 
-    if (!ticket) return res.json({ ok: false, error: "ticket_not_found" });
+      const next = { ...ticket, version: Number(baseVersion || 0) + 1 };
+      map[ticket.ticket_id] = next;
 
-    res.json({
-      ok: true,
-      ticket,
-      status: status || "pending",
-      order_id,
-      order_name: order.name,
-      order_created_at: order.createdAt,
-    });
-  } catch (e) {
-    console.error("[find-ticket]", e);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
-  }
-});
+      const err = await writeMap(orderGid, map, next, digest);
+      if (err?.code === "STALE_OBJECT") {
+        const fresh = await loadMap(orderId);
+        throw conflictError(fresh.map[ticket.ticket_id]);
+      }
+      if (err) throw new Error(err.message);
+      return next;
+    },
 
-// ======================================================================
-// Admin (programmatic) API
-// ======================================================================
-const ADMIN_UI_KEY = process.env.ADMIN_UI_KEY || "";
-function requireAdmin(req, res, next) {
-  const bearer = String(req.headers.authorization || "")
-    .replace(/^Bearer\s+/i, "")
-    .trim();
-  const xkey = String(req.headers["x-admin-ui-key"] || "").trim();
-  if (ADMIN_UI_KEY && (bearer === ADMIN_UI_KEY || xkey === ADMIN_UI_KEY)) return next();
-  return res.status(401).json({ ok: false, error: "unauthorized" });
-}
-app.use((req, res, next) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-UI-Key");
-  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  if (req.method === "OPTIONS") return res.sendStatus(204);
-  next();
-});
+    // a stale digest means another writer got in first: redo the batch on fresh data
+    async updateTickets(orderId, ids, apply) {
+      for (let attempt = 0; ; attempt++) {
+        const { orderGid, order, map, digest } = await loadMap(orderId);
+        const results = applyBatch(map, order, ids, apply);
+        const saved = results.filter((r) => r.ok);
+        if (!saved.length) return results;
 
-async function collectTickets({ since, status, limit = 200 }) {
-  const out = [];
-  let after = null;
-  const max = Math.min(Number(limit || 200), 1000);
-  const shopQuery = since ? `updated_at:>=${since}` : null;
-
-  while (out.length < max) {
-    const data = await adminGraphQL(
-      `query Orders($first:Int!,$after:String,$query:String){
-        orders(first:$first, after:$after, query:$query, sortKey:UPDATED_AT, reverse:true){
-          edges{
-            cursor
-            node{
-              id name createdAt updatedAt
-              mfJSON: metafield(namespace:"support", key:"tickets"){ value }
-              mfId:   metafield(namespace:"support", key:"ticket_id"){ value }
-              mfSt:   metafield(namespace:"support", key:"ticket_status"){ value }
-            }
-          }
-          pageInfo{ hasNextPage }
+        const err = await writeMap(orderGid, map, saved[saved.length - 1].ticket, digest);
+        if (err?.code === "STALE_OBJECT" && attempt < 2) continue;
+        if (err?.code === "STALE_OBJECT") {
+          return results.map((r) => (r.ok ? { ticket_id: r.ticket_id, ok: false, error: conflictError(null) } : r));
         }
-      }`,
-      { first: 50, after, query: shopQuery }
-    );
+        if (err) throw new Error(err.message);
+        return results;
+      }
+    },
+
+    async listByOrder(orderId) {
+      const { order, map } = await loadMap(orderId);
+      return { order, tickets: Object.entries(map).map(([key, t]) => ({ ...t, ticket_id: t.ticket_id || key })) };
+    },
 
-    const edges = data?.orders?.edges || [];
-    if (!edges.length) break;
+    crawl,
 
-    for (const { cursor, node } of edges) {
-      const orderId = Number(String(node.id).split("/").pop());
-      const base = {
-        order_id: orderId,
-        order_name: node.name,
-        order_created_at: node.createdAt,
-        order_updated_at: node.updatedAt,
-      };
+    scanTickets,
 
-      let map = {};
-      const raw = node.mfJSON?.value;
-      if (raw) { try { map = JSON.parse(raw); } catch {} }
-
-      if (Object.keys(map).length) {
-        for (const [key, t] of Object.entries(map)) {
-          const rec = {
-            ...base,
-            ticket_id: t.ticket_id || key,
-            status: normalizeStatus(t.status) || "pending",
-            issue: t.issue || "",
-            message: t.message || "",
-            phone: t.phone || "",
-            email: t.email || "",
-            name: t.name || "",
-            created_at: t.created_at || base.order_created_at,
-            updated_at: t.updated_at || base.order_updated_at,
-          };
-          if (!status || status === "all" || rec.status === normalizeStatus(status)) {
-            out.push(rec);
-            if (out.length >= max) break;
-          }
+    // Live crawl (index off or still backfilling), newest orders first and
+    // capped: sorts and search only see the first LIVE_LIST_MAX matches within
+    // the LIVE_LIST_MAX_ORDERS most recently updated orders. The index serves
+    // complete results once backfilled.
+    async listTickets(filter = {}) {
+      const out = [];
+      let orders = 0;
+      for await (const { records } of crawl({ since: filter.since })) {
+        for (const rec of records) if (matchesFilter(rec, filter)) out.push(rec);
+        if (out.length >= LIVE_LIST_MAX || ++orders >= LIVE_LIST_MAX_ORDERS) break;
+      }
+      return pageRecords(out, filter);
+    },
+  };
+}
+
+// Local: { orders: { [orderId]: { id, name, email, customer_id, created_at, tickets: { [ticketId]: ticket } } } }
+// kept in memory and, when `file` is given, persisted as JSON after each write.
+// Lets every route run offline with no shop or token. Orders must exist before
+// the proxy will attach tickets to them — add them to the file (or `seed`).
+function createLocalTicketStore({ file, seed } = {}) {
+  const db = readJsonFile(file || seed, { orders: {} });
+  db.orders ||= {};
+  const save = file ? createJsonFileWriter(file, { space: 2 }) : null;
+  const persist = () => (save ? save(db) : Promise.resolve());
+  const orderOf = (o) =>
+    o
+      ? {
+          id: String(o.id),
+          name: o.name || "",
+          createdAt: o.created_at || null,
+          email: o.email || "",
+          customerId: o.customer_id ? String(o.customer_id) : null,
         }
-      } else if (node.mfId?.value) {
-        const rec = {
-          ...base,
-          ticket_id: node.mfId.value,
-          status: normalizeStatus(node.mfSt?.value || "pending"),
-          issue: "",
-          message: "",
-          phone: "",
-          email: "",
-          name: "",
-          created_at: base.order_created_at,
-          updated_at: base.order_updated_at,
-        };
-        if (!status || status === "all" || rec.status === normalizeStatus(status)) out.push(rec);
+      : null;
+  const clone = (v) => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+  async function* scanTickets(filter = {}) {
+    for (const o of Object.values(db.orders)) {
+      const base = {
+        order_id: Number(o.id) || o.id,
+        order_name: o.name || "",
+        order_created_at: o.created_at || null,
+        order_updated_at: o.updated_at || null,
+      };
+      for (const [key, t] of Object.entries(o.tickets || {})) {
+        const rec = toRecord(clone(t), key, base);
+        if (matchesFilter(rec, filter)) yield rec;
       }
-      if (out.length >= max) break;
-      after = cursor;
     }
-    if (!data?.orders?.pageInfo?.hasNextPage) break;
   }
 
-  return out.slice(0, max);
+  return {
+    kind: file ? "file" : "memory",
+
+    async getTicket(orderId, ticketId) {
+      const o = db.orders[String(orderId)];
+      return { order: orderOf(o), ticket: clone(o?.tickets?.[ticketId]) || null };
+    },
+
+    async saveTicket(orderId, ticket, baseVersion = 0) {
+      const id = String(orderId);
+      const now = new Date().toISOString();
+      const o = (db.orders[id] ||= { id, name: ticket.order_name || `#${id}`, created_at: now, tickets: {} });
+      o.tickets ||= {};
+      const current = o.tickets[ticket.ticket_id];
+      if (Number(current?.version || 0) !== Number(baseVersion || 0)) throw conflictError(clone(current));
+
+      const next = { ...clone(ticket), version: Number(baseVersion || 0) + 1 };
+      o.tickets[ticket.ticket_id] = next;
+      o.updated_at = now;
+      await persist();
+      return clone(next);
+    },
+
+    async updateTickets(orderId, ids, apply) {
+      const o = db.orders[String(orderId)];
+      const map = clone(o?.tickets) || {};
+      const results = applyBatch(map, orderOf(o), ids, apply);
+      if (!results.some((r) => r.ok)) return results;
+      o.tickets = map;
+      o.updated_at = new Date().toISOString();
+      await persist();
+      return results.map((r) => (r.ok ? { ...r, ticket: clone(r.ticket) } : r));
+    },
+
+    async listByOrder(orderId) {
+      const o = db.orders[String(orderId)];
+      return { order: orderOf(o), tickets: Object.values(clone(o?.tickets) || {}) };
+    },
+
+    scanTickets,
+
+    async listTickets(filter = {}) {
+      const out = [];
+      for await (const rec of scanTickets(filter)) out.push(rec);
+      return pageRecords(out, filter);
+    },
+  };
 }
 
-app.get("/admin/tickets", requireAdmin, async (req, res) => {
-  try {
-    const { since, status, limit } = req.query || {};
-    const tickets = await collectTickets({
-      since,
-      status: normalizeStatus(status),
-      limit,
-    });
-    res.json({ ok: true, count: tickets.length, tickets });
-  } catch (e) {
-    console.error("GET /admin/tickets", e);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+// ---------- ticket index (Shopify backend)
+// Local copy of every ticket record so list queries don't crawl orders on each
+// panel load (and aren't limited to the most recently updated ones). One full
+// backfill on first start, then an incremental crawl of orders updated since
+// the last sync; saves made through this service are written through at once.
+// Until the backfill finishes, lists fall back to the live crawl.
+// { backfilled_at, synced_at, orders: { [orderId]: { base, tickets: { [ticketId]: record } } } }
+function createTicketIndex({ source, file, syncMs }) {
+  const state = readJsonFile(file, { backfilled_at: null, synced_at: null, orders: {} });
+  state.orders ||= {};
+  const save = createJsonFileWriter(file);
+  let saveTimer = null;
+  function persistSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save(state).catch((e) => console.error("[ticket-index] write failed", e));
+    }, 1000);
   }
-});
 
-app.post("/admin/tickets/update", requireAdmin, async (req, res) => {
-  try {
-    const { order_id, ticket_id } = req.body || {};
-    const status = normalizeStatus(req.body?.status || "pending");
-    if (!order_id || !ticket_id)
-      return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
+  function putOrder(orderId, records) {
+    const id = String(orderId);
+    if (!records.length) { delete state.orders[id]; return; }
+    const { order_id, order_name, order_created_at, order_updated_at, order_cancelled_at } = records[0];
+    const tickets = {};
+    for (const rec of records) tickets[rec.ticket_id] = rec;
+    state.orders[id] = { base: { order_id, order_name, order_created_at, order_updated_at, order_cancelled_at }, tickets };
+  }
 
-    const orderGid = `gid://shopify/Order/${order_id}`;
-    const d1 = await adminGraphQL(
-      `query GetOrder($id:ID!){ order(id:$id){ name metafield(namespace:"support", key:"tickets"){ value } } }`,
-      { id: orderGid }
-    );
+  let running = null;
+  function sync() {
+    if (running) return running;
+    running = (async () => {
+      const started = new Date().toISOString();
+      // small overlap so orders updated mid-crawl aren't missed
+      const since = state.backfilled_at && state.synced_at
+        ? new Date(Date.parse(state.synced_at) - 60_000).toISOString()
+        : null;
+      let orders = 0;
+      for await (const { order_id, records } of source.crawl({ since })) {
+        putOrder(order_id, records);
+        orders++;
+      }
+      state.synced_at = started;
+      if (!since) {
+        state.backfilled_at = started;
+        console.log(`[ticket-index] backfilled ${orders} orders`);
+      }
+      await save(state);
+    })()
+      .catch((e) => console.error("[ticket-index] sync failed", e))
+      .finally(() => { running = null; });
+    return running;
+  }
 
-    let map = {};
-    const raw = d1?.order?.metafield?.value;
-    if (raw) { try { map = JSON.parse(raw); } catch {} }
+  return {
+    ready: () => Boolean(state.backfilled_at),
+    sync,
 
-    const now = new Date().toISOString();
-    const prev = map[ticket_id] || {};
+    start() {
+      sync();
+      setInterval(sync, syncMs).unref();
+    },
 
-    // HARD LOCK for admins: cannot update once closed
-    if (isClosed(prev.status)) {
-      return res.status(423).json({ ok:false, error:"ticket_closed_admin_locked" });
-    }
+    has: (orderId) => Boolean(state.orders[String(orderId)]),
 
-    map[ticket_id] = {
-      ...(prev || {}),
-      ticket_id,
-      status,
-      order_id,
-      order_name: prev.order_name || d1?.order?.name || "",
-      created_at: prev.created_at || now,
-      updated_at: now,
-    };
+    // Re-read one order from the source (webhooks); drops it when gone or ticketless.
+    async refreshOrder(orderId) {
+      const { order, tickets } = await source.listByOrder(orderId);
+      const base = order && {
+        order_id: Number(order.id) || order.id,
+        order_name: order.name,
+        order_created_at: order.createdAt,
+        order_updated_at: order.updatedAt || null,
+        order_cancelled_at: order.cancelledAt || null,
+      };
+      putOrder(orderId, order ? tickets.map((t) => toRecord(t, t.ticket_id, base)) : []);
+      persistSoon();
+    },
 
-    const d2 = await adminGraphQL(
-      `mutation Save($ownerId:ID!, $value:String!, $tid:String!, $st:String!){
-        metafieldsSet(metafields:[
-          { ownerId:$ownerId, namespace:"support", key:"tickets", type:"json", value:$value },
-          { ownerId:$ownerId, namespace:"support", key:"ticket_id", type:"single_line_text_field", value:$tid },
-          { ownerId:$ownerId, namespace:"support", key:"ticket_status", type:"single_line_text_field", value:$st }
-        ]) { userErrors { field message } }
-      }`,
-      { ownerId: orderGid, value: JSON.stringify(map), tid: ticket_id, st: status }
-    );
+    removeOrder(orderId) {
+      delete state.orders[String(orderId)];
+      persistSoon();
+    },
 
-    const err = d2?.metafieldsSet?.userErrors?.[0];
-    if (err) throw new Error(err.message);
+    put(orderId, ticket) {
+      const id = String(orderId);
+      const now = new Date().toISOString();
+      const entry = (state.orders[id] ||= {
+        base: { order_id: Number(id) || id, order_name: ticket.order_name || "", order_created_at: null },
+        tickets: {},
+      });
+      entry.base.order_updated_at = now;
+      entry.tickets[ticket.ticket_id] = toRecord(ticket, ticket.ticket_id, entry.base);
+      persistSoon();
+    },
 
-    res.json({ ok: true, ticket: map[ticket_id] });
-  } catch (e) {
-    console.error("POST /admin/tickets/update", e);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
-  }
+    *scan(filter = {}) {
+      for (const { tickets } of Object.values(state.orders)) {
+        for (const rec of Object.values(tickets)) {
+          if (matchesFilter(rec, filter)) yield rec;
+        }
+      }
+    },
+
+    query(filter = {}) {
+      return pageRecords([...this.scan(filter)], filter);
+    },
+  };
+}
+
+// Same interface as the wrapped store; saves write through, lists read the index.
+function withTicketIndex(inner, index) {
+  return {
+    ...inner,
+    index,
+
+    async saveTicket(orderId, ticket, baseVersion) {
+      const saved = await inner.saveTicket(orderId, ticket, baseVersion);
+      index.put(orderId, saved);
+      return saved;
+    },
+
+    async updateTickets(orderId, ids, apply) {
+      const results = await inner.updateTickets(orderId, ids, apply);
+      for (const r of results) if (r.ok) index.put(orderId, r.ticket);
+      return results;
+    },
+
+    async listTickets(opts) {
+      return index.ready() ? index.query(opts) : inner.listTickets(opts);
+    },
+
+    scanTickets(opts) {
+      return index.ready() ? index.scan(opts) : inner.scanTickets(opts);
+    },
+  };
+}
+
+function createTicketStore() {
+  const kind = String(process.env.TICKET_STORE || "shopify").toLowerCase();
+  if (kind === "shopify") {
+    const shopify = createShopifyTicketStore();
+    if (process.env.TICKET_INDEX === "0") return shopify;
+    const index = createTicketIndex({
+      source: shopify,
+      file: path.resolve(process.env.TICKET_INDEX_FILE || path.join(__dirname, "data", "ticket-index.json")),
+      syncMs: Math.max(Number(process.env.TICKET_INDEX_SYNC_SEC || 120), 10) * 1000,
+    });
+    return withTicketIndex(shopify, index);
+  }
+  if (kind === "memory") {
+    const seed = process.env.TICKET_STORE_SEED;
+    return createLocalTicketStore({ seed: seed ? path.resolve(seed) : undefined });
+  }
+  if (kind === "file") {
+    const file = path.resolve(process.env.TICKET_STORE_FILE || path.join(__dirname, "data", "tickets.json"));
+    return createLocalTicketStore({ file });
+  }
+  throw new Error(`Unknown TICKET_STORE "${kind}" (expected shopify, file or memory)`);
+}
+
+// Emits "ticket" { type, order_id, ticket_id, ticket } after every successful
+// save, whichever route made it: type is "created" (isNewTicket), "reopened"
+// (the save that set reopened_at) or "updated". In-process only — each
+// instance only sees its own writes.
+function withTicketEvents(inner, events) {
+  const emit = (orderId, saved) => {
+    const type = isNewTicket(saved)
+      ? "created"
+      : saved.reopened_at && saved.reopened_at === saved.updated_at
+        ? "reopened"
+        : "updated";
+    events.emit("ticket", { type, order_id: orderId, ticket_id: saved.ticket_id, ticket: saved });
+  };
+  return {
+    ...inner,
+    events,
+
+    async saveTicket(orderId, ticket, baseVersion) {
+      const saved = await inner.saveTicket(orderId, ticket, baseVersion);
+      emit(orderId, saved);
+      return saved;
+    },
+
+    async updateTickets(orderId, ids, apply) {
+      const results = await inner.updateTickets(orderId, ids, apply);
+      for (const r of results) if (r.ok) emit(orderId, r.ticket);
+      return results;
+    },
+  };
+}
+
+const ticketEvents = new EventEmitter();
+ticketEvents.setMaxListeners(0); // one listener per open panel
+const store = withTicketEvents(createTicketStore(), ticketEvents);
+
+// ---------- attachments
+// Customer uploads (images + PDF). The ticket keeps the metadata in
+// `attachments: [{ id, filename, content_type, size, uploaded_at, uploaded_by,
+// storage, ref }]`; the bytes live in an AttachmentStore:
+//   put({ id, buf, content_type, filename }) → ref
+//   send(res, att)                           → serves (or redirects to) the file
+//   remove(ref)                              → best effort
+// Type comes from the file's magic bytes, never the client's Content-Type.
+const ATTACHMENT_MAX_BYTES = Math.floor(Math.max(Number(process.env.ATTACHMENT_MAX_MB || 10), 0.1) * 1024 * 1024);
+const ATTACHMENT_MAX_COUNT = Math.max(Number(process.env.ATTACHMENT_MAX_COUNT || 10), 1);
+const ATTACHMENT_TYPES = [
+  { type: "image/jpeg", ext: ".jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: "image/png", ext: ".png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: "image/gif", ext: ".gif", test: (b) => b.subarray(0, 4).toString("latin1") === "GIF8" },
+  { type: "image/webp", ext: ".webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { type: "application/pdf", ext: ".pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+const sniffAttachment = (buf) => ATTACHMENT_TYPES.find((t) => t.test(buf)) || null;
+
+// display name only — never used as a path. The extension always matches the
+// sniffed type, so a download can't land on disk as e.g. ".html".
+function cleanFilename(name, ext) {
+  const base = String(name || "").split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, "").trim().slice(0, 120);
+  if (!base) return `attachment${ext}`;
+  const lower = base.toLowerCase();
+  return lower.endsWith(ext) || (ext === ".jpg" && lower.endsWith(".jpeg")) ? base : base + ext;
+}
+
+// Local disk (dev / single instance): ATTACHMENT_DIR/<id><ext>
+function createLocalAttachmentStore({ dir }) {
+  const fileOf = (ref) => {
+    if (!/^[A-Za-z0-9-]+\.[a-z]+$/.test(String(ref))) throw new Error(`bad attachment ref ${ref}`);
+    return path.join(dir, ref);
+  };
+  return {
+    kind: "local",
+
+    async put({ id, buf, content_type }) {
+      const ref = id + (ATTACHMENT_TYPES.find((t) => t.type === content_type)?.ext || "");
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileOf(ref), buf, { flag: "wx" });
+      return ref;
+    },
+
+    async send(res, att) {
+      res.type(att.content_type);
+      await new Promise((resolve, reject) =>
+        res.sendFile(fileOf(att.ref), { dotfiles: "deny" }, (err) => (err ? reject(err) : resolve()))
+      );
+    },
+
+    async remove(ref) {
+      await fs.promises.unlink(fileOf(ref)).catch(() => {});
+    },
+  };
+}
+
+// Shopify Files via staged uploads: stagedUploadsCreate → POST the bytes to the
+// staged target → fileCreate. Files are served from Shopify's CDN; the admin
+// route redirects there (URLs are unguessable but not access-controlled).
+function createShopifyAttachmentStore() {
+  const isImage = (type) => type.startsWith("image/");
+  return {
+    kind: "shopify",
+
+    async put({ buf, content_type, filename }) {
+      const staged = await adminGraphQL(
+        `mutation($input:[StagedUploadInput!]!){
+          stagedUploadsCreate(input:$input){
+            stagedTargets{ url resourceUrl parameters{ name value } }
+            userErrors{ field message }
+          }
+        }`,
+        { input: [{ resource: isImage(content_type) ? "IMAGE" : "FILE", filename, mimeType: content_type, httpMethod: "POST", fileSize: String(buf.length) }] }
+      );
+      const target = staged?.stagedUploadsCreate?.stagedTargets?.[0];
+      if (!target) throw new Error(staged?.stagedUploadsCreate?.userErrors?.[0]?.message || "stagedUploadsCreate failed");
+
+      const form = new FormData();
+      for (const { name, value } of target.parameters) form.append(name, value);
+      form.append("file", new Blob([buf], { type: content_type }), filename);
+      const up = await fetch(target.url, { method: "POST", body: form });
+      if (!up.ok) throw new Error(`staged upload failed: ${up.status}`);
+
+      const created = await adminGraphQL(
+        `mutation($files:[FileCreateInput!]!){
+          fileCreate(files:$files){ files{ id } userErrors{ field message } }
+        }`,
+        { files: [{ originalSource: target.resourceUrl, contentType: isImage(content_type) ? "IMAGE" : "FILE", alt: filename }] }
+      );
+      const id = created?.fileCreate?.files?.[0]?.id;
+      if (!id) throw new Error(created?.fileCreate?.userErrors?.[0]?.message || "fileCreate failed");
+      return id;
+    },
+
+    async send(res, att) {
+      const data = await adminGraphQL(
+        `query($id:ID!){
+          node(id:$id){
+            ... on MediaImage{ image{ url } }
+            ... on GenericFile{ url }
+          }
+        }`,
+        { id: att.ref }
+      );
+      const url = data?.node?.image?.url || data?.node?.url;
+      // images are processed asynchronously; the URL shows up once ready
+      if (!url) return res.set("Retry-After", "5").status(503).json({ ok: false, error: "attachment_processing" });
+      res.redirect(302, url);
+    },
+
+    async remove(ref) {
+      await adminGraphQL(`mutation($ids:[ID!]!){ fileDelete(fileIds:$ids){ deletedFileIds } }`, { ids: [ref] }).catch(
+        (e) => console.error("[attachments] fileDelete", ref, e.message)
+      );
+    },
+  };
+}
+
+function createAttachmentStore() {
+  const fallback = String(process.env.TICKET_STORE || "shopify").toLowerCase() === "shopify" ? "shopify" : "local";
+  const kind = String(process.env.ATTACHMENT_STORE || fallback).toLowerCase();
+  if (kind === "shopify") return createShopifyAttachmentStore();
+  if (kind === "local") {
+    return createLocalAttachmentStore({
+      dir: path.resolve(process.env.ATTACHMENT_DIR || path.join(__dirname, "data", "attachments")),
+    });
+  }
+  throw new Error(`Unknown ATTACHMENT_STORE "${kind}" (expected shopify or local)`);
+}
+const attachments = createAttachmentStore();
+
+// ---------- ticket ids + storefront input schema
+// IDs look like "ZT-7KQ4-M9XD-2PWA": 60 random bits in Crockford base32
+// (no I/L/O/U, so they survive being read out over the phone).
+const TICKET_ID_PREFIX = String(process.env.TICKET_ID_PREFIX || "ZT").trim().toUpperCase();
+const ID_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+function generateTicketId() {
+  const bytes = crypto.randomBytes(12);
+  let body = "";
+  for (const b of bytes) body += ID_ALPHABET[b & 31];
+  const groups = body.match(/.{4}/g).join("-");
+  return TICKET_ID_PREFIX ? `${TICKET_ID_PREFIX}-${groups}` : groups;
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9 ()\-.]{6,20}$/;
+const TICKET_INPUT_SCHEMA = {
+  issue:      { required: true, max: 120 },
+  message:    { max: 4000 },
+  name:       { max: 120 },
+  email:      { max: 254, format: "email" },
+  phone:      { max: 32, format: "phone" },
+  order_name: { max: 64 },
+};
+// → { value, errors }; errors: [{ field, code, max? }]. `partial` skips `required`
+// (updates only send what changes). Unknown fields are dropped from `value`.
+function validateTicketInput(body, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(TICKET_INPUT_SCHEMA)) {
+    const raw = body?.[field];
+    if (raw !== undefined && raw !== null && typeof raw !== "string" && typeof raw !== "number") {
+      errors.push({ field, code: "invalid_type" });
+      continue;
+    }
+    const v = String(raw ?? "").trim();
+    if (!v) {
+      if (rule.required && !partial) errors.push({ field, code: "required" });
+      continue;
+    }
+    if (v.length > rule.max) errors.push({ field, code: "too_long", max: rule.max });
+    else if (rule.format === "email" && !EMAIL_RE.test(v)) errors.push({ field, code: "invalid_email" });
+    else if (rule.format === "phone" && !PHONE_RE.test(v)) errors.push({ field, code: "invalid_phone" });
+    else value[field] = v;
+  }
+  return { value, errors };
+}
+
+// ---------- priority, tags, issue categories
+// Categories come from CATEGORIES_FILE (default ./config/categories.json):
+//   { categories: [{ id, label, priority? }] }
+// The storefront reads them through /categories; a category's priority seeds
+// new tickets filed under it. Tags are free-form, stored lowercase.
+const CATEGORIES = (() => {
+  const file = path.resolve(process.env.CATEGORIES_FILE || path.join(__dirname, "config", "categories.json"));
+  return (readJsonFile(file, {}).categories || [])
+    .filter((c) => c?.id && c?.label)
+    .map((c) => ({
+      id: String(c.id),
+      label: String(c.label),
+      priority: PRIORITIES.includes(c.priority) ? c.priority : "normal",
+    }));
+})();
+const categoryById = (id) => CATEGORIES.find((c) => c.id === String(id)) || null;
+// older storefront forms only send the label as free-text `issue`
+const categoryForIssue = (issue) =>
+  CATEGORIES.find((c) => c.label.toLowerCase() === String(issue || "").trim().toLowerCase()) || null;
+
+function parsePriority(v) {
+  const p = String(v ?? "").trim().toLowerCase();
+  if (!PRIORITIES.includes(p)) throw httpError(400, "invalid_priority");
+  return p;
+}
+// array or "a, b" → unique lowercase tags (≤ 20, each ≤ 32 chars of a-z 0-9 space _ -)
+const TAG_RE = /^[a-z0-9][a-z0-9 _-]{0,31}$/;
+function parseTags(v) {
+  const raw = Array.isArray(v) ? v : String(v ?? "").split(",");
+  const tags = [...new Set(raw.map((t) => String(t ?? "").trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean))];
+  if (tags.length > 20 || !tags.every((t) => TAG_RE.test(t))) throw httpError(400, "invalid_tags");
+  return tags;
+}
+// "" / null clears it
+function parseCategory(v) {
+  if (v === null || v === "") return null;
+  const c = categoryById(v);
+  if (!c) throw httpError(400, "invalid_category");
+  return c.id;
+}
+
+// ---------- SLA
+// Targets from SLA_CONFIG_FILE (default ./config/sla.json):
+//   { first_response_hours, resolution_hours, at_risk_ratio,
+//     by_status: { [status]: {…targets} }, by_issue: { [issue, lowercase]: {…targets} } }
+// Issue overrides beat status overrides beat the defaults. Everything is
+// computed on read from the thread + status history, never stored.
+const SLA_CONFIG = (() => {
+  const file = path.resolve(process.env.SLA_CONFIG_FILE || path.join(__dirname, "config", "sla.json"));
+  const cfg = readJsonFile(file, {});
+  return {
+    first_response_hours: Number(cfg.first_response_hours ?? process.env.SLA_FIRST_RESPONSE_HOURS ?? 24),
+    resolution_hours: Number(cfg.resolution_hours ?? process.env.SLA_RESOLUTION_HOURS ?? 72),
+    at_risk_ratio: Number(cfg.at_risk_ratio ?? 0.75),
+    by_status: cfg.by_status || {},
+    by_issue: Object.fromEntries(Object.entries(cfg.by_issue || {}).map(([k, v]) => [k.toLowerCase(), v])),
+  };
+})();
+const SLA_RANK = { breached: 3, at_risk: 2, ok: 1, met: 0 };
+
+function slaTargets(t) {
+  return {
+    first_response_hours: SLA_CONFIG.first_response_hours,
+    resolution_hours: SLA_CONFIG.resolution_hours,
+    ...(SLA_CONFIG.by_status[normalizeStatus(t.status)] || {}),
+    ...(SLA_CONFIG.by_issue[String(t.issue || "").trim().toLowerCase()] || {}),
+  };
+}
+// One timer: done → met/breached; running → ok/at_risk/breached against `now`
+function slaClock(startMs, doneMs, hours, now) {
+  const targetMs = Number(hours) * 3600_000;
+  const dueMs = startMs + targetMs;
+  let status;
+  if (doneMs != null) status = doneMs <= dueMs ? "met" : "breached";
+  else if (now > dueMs) status = "breached";
+  else status = now - startMs >= targetMs * SLA_CONFIG.at_risk_ratio ? "at_risk" : "ok";
+  return { target_hours: Number(hours), due_at: new Date(dueMs).toISOString(), status };
+}
+
+// First response = earliest staff reply (not the auto-close warning) or
+// staff/API status change after creation.
+// Closed at = last move into "closed" while the ticket is still closed.
+function withSla(t, now = Date.now()) {
+  const createdMs = Date.parse(t.created_at);
+  if (Number.isNaN(createdMs)) return t;
+  const staffTimes = [
+    ...threadOf(t).filter((m) => m.author === "staff" && m.by !== "system").map((m) => m.at),
+    ...(Array.isArray(t.history) ? t.history : [])
+      .filter((h) => h.from && !h.action && (h.actor?.type === "staff" || h.actor?.type === "api_key"))
+      .map((h) => h.at),
+  ]
+    .map((at) => Date.parse(at))
+    .filter((ms) => !Number.isNaN(ms) && ms >= createdMs);
+  const firstMs = staffTimes.length ? Math.min(...staffTimes) : null;
+
+  let closedMs = null;
+  if (isClosed(t.status)) {
+    const last = (t.history || []).filter((h) => normalizeStatus(h.to) === "closed").pop();
+    closedMs = Date.parse(last?.at || t.updated_at);
+    if (Number.isNaN(closedMs)) closedMs = null;
+  }
+
+  const targets = slaTargets(t);
+  const first_response = slaClock(createdMs, firstMs, targets.first_response_hours, now);
+  const resolution = slaClock(createdMs, closedMs, targets.resolution_hours, now);
+  // Overall: worst running clock; once closed, whether anything was breached
+  const clocks = closedMs != null ? [first_response, resolution] : [first_response, resolution].filter((c) => c.status !== "met");
+  const worst = clocks.sort((a, b) => SLA_RANK[b.status] - SLA_RANK[a.status])[0];
+
+  return {
+    ...t,
+    first_response_at: firstMs != null ? new Date(firstMs).toISOString() : null,
+    first_response_ms: firstMs != null ? firstMs - createdMs : null,
+    closed_at: closedMs != null ? new Date(closedMs).toISOString() : null,
+    time_to_close_ms: closedMs != null ? closedMs - createdMs : null,
+    sla: {
+      status: closedMs != null ? (worst.status === "breached" ? "breached" : "met") : worst.status,
+      due_at: closedMs != null ? null : (firstMs == null ? first_response : resolution).due_at,
+      first_response,
+      resolution,
+    },
+  };
+}
+
+// ======================================================================
+// App Proxy endpoints (storefront)
+// ======================================================================
+app.post(`${PROXY_MOUNT}/create-ticket`, async (req, res) => {
+  try {
+    const sigError = proxySignatureError(req, { once: true });
+    if (sigError) return res.status(401).json({ ok: false, error: sigError });
+
+    const order_id = String(req.body?.order_id ?? "").trim();
+    // a category alone is enough: its label becomes the issue
+    const category = req.body?.category ? categoryById(req.body.category) : null;
+    const { value, errors } = validateTicketInput(
+      category && !req.body?.issue ? { ...req.body, issue: category.label } : req.body
+    );
+    if (!order_id) errors.unshift({ field: "order_id", code: "required" });
+    if (req.body?.category && !category) errors.push({ field: "category", code: "invalid_category" });
+    if (errors.length) return res.status(400).json({ ok: false, error: "validation_failed", errors });
+
+    const { order } = await store.listByOrder(order_id);
+    const denied = orderOwnershipError(req, order, {
+      email: req.body?.order_email || value.email,
+      order_name: value.order_name,
+    });
+    if (denied) return sendOwnershipError(res, denied);
+
+    const now = new Date().toISOString();
+    const customerId = req.query.logged_in_customer_id || null;
+    const cat = category || categoryForIssue(value.issue);
+    // saveTicket(…, 0) never overwrites: retry on an id collision or a racing write to the same order
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const ticket_id = generateTicketId();
+      const next = {
+        ticket_id,
+        status: "pending",
+        issue: value.issue,
+        category: cat?.id || null,
+        priority: cat?.priority || "normal",
+        tags: [],
+        message: value.message || "",
+        messages: appendMessage({}, "customer", value.message, now),
+        phone: value.phone || "",
+        email: value.email || "",
+        name: value.name || "",
+        customer_id: customerId,
+        order_id,
+        order_name: order.name || value.order_name || "",
+        created_at: now,
+        updated_at: now,
+        history: historyWith({}, "pending", { type: "customer", id: customerId }, now),
+        updated_by: { type: "customer", id: customerId },
+      };
+      const assignee = nextAutoAssignee();
+      if (assignee) Object.assign(next, { assignee, assigned_at: now, assigned_by: { type: "system" } });
+      try {
+        const ticket = await store.saveTicket(order_id, next, 0);
+        return res.status(201).json({ ok: true, ticket: customerTicket(ticket) });
+      } catch (e) {
+        if (e.code !== "conflict") throw e;
+      }
+    }
+    throw new Error("could not allocate a ticket id");
+  } catch (e) {
+    console.error("[create-ticket]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.post(`${PROXY_MOUNT}/attach-ticket`, async (req, res) => {
+  try {
+    const sigError = proxySignatureError(req, { once: true });
+    if (sigError) return res.status(401).json({ ok: false, error: sigError });
+
+    // Updates an existing ticket only — new tickets go through /create-ticket
+    const { order_id, ticket_id, status = "pending", reopen } = req.body || {};
+    if (!order_id || !ticket_id) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "missing_fields", fields: ["order_id", "ticket_id"] });
+    }
+    const { value, errors } = validateTicketInput(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ ok: false, error: "validation_failed", errors });
+    const { issue, message, phone, email, name, order_name } = value;
+
+    const { order, ticket: found } = await store.getTicket(order_id, ticket_id);
+    const denied = orderOwnershipError(req, order, {
+      email: req.body?.order_email || email,
+      order_name,
+    });
+    if (denied) return sendOwnershipError(res, denied);
+    if (!found) return res.status(404).json({ ok: false, error: "ticket_not_found" });
+
+    const now = new Date().toISOString();
+    const prev = found;
+    checkVersion(prev, req.body?.version);
+    let st = normalizeStatus(status);
+
+    // Reopen rule — customers reopen here (supervisors via staffReopen)
+    const wantsReopen =
+      truthy(reopen) || String(status || "").toLowerCase() === "reopen";
+
+    if (isClosed(prev.status)) {
+      if (!wantsReopen) {
+        return res.status(423).json({ ok: false, error: "ticket_closed_use_reopen" });
+      }
+      st = "pending"; // reopen → back to pending
+    }
+
+    const next = {
+      ...prev,
+      ticket_id,
+      status: st,
+      issue: issue || prev.issue || "",
+      message: message || prev.message || "",        // latest customer message (legacy readers)
+      messages: appendMessage(prev, "customer", message, now),
+      phone: phone || prev.phone || "",
+      email: email || prev.email || "",
+      name: name || prev.name || "",
+      order_id,
+      order_name: order_name || order?.name || prev.order_name || "",
+      created_at: prev.created_at || now,
+      updated_at: now,
+      reopened_at: (isClosed(prev.status) && wantsReopen) ? now : (prev.reopened_at || undefined),
+      reopened_by: (isClosed(prev.status) && wantsReopen) ? "customer" : (prev.reopened_by || undefined),
+      closed_at: isClosed(st) ? prev.closed_at : undefined,
+      closed_by: isClosed(st) ? prev.closed_by : undefined,
+      auto_close_at: undefined,          // customer activity stops the auto-close countdown
+      auto_close_warned_at: undefined,
+      history: historyWith(prev, st, { type: "customer", id: req.query.logged_in_customer_id || null }, now),
+      updated_by: { type: "customer", id: req.query.logged_in_customer_id || null },
+    };
+
+    const ticket = await store.saveTicket(order_id, next, prev.version);
+    res.json({ ok: true, ticket: customerTicket(ticket) });
+  } catch (e) {
+    if (e.code === "conflict") return sendConflict(res, e, customerTicket);
+    console.error("[attach-ticket]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+app.get(`${PROXY_MOUNT}/find-ticket`, async (req, res) => {
+  try {
+    const sigError = proxySignatureError(req);
+    if (sigError) return res.status(401).json({ ok: false, error: sigError });
+
+    const ticket_id = String(req.query.ticket_id || "").trim();
+    const order_id = String(req.query.order_id || "").trim();
+    if (!ticket_id) return res.status(400).json({ ok: false, error: "missing ticket_id" });
+    if (!order_id) return res.status(400).json({ ok: false, error: "missing order_id" });
+
+    const { order, ticket } = await store.getTicket(order_id, ticket_id);
+    if (!order) return res.json({ ok: false, error: "order_not_found" });
+    const denied = orderOwnershipError(req, order, {
+      email: req.query.order_email || req.query.email,
+      order_name: req.query.order_name,
+    });
+    if (denied) return sendOwnershipError(res, denied);
+    if (!ticket) return res.json({ ok: false, error: "ticket_not_found" });
+
+    res.json({
+      ok: true,
+      ticket: customerTicket(ticket),
+      status: ticket.status || "pending",
+      order_id,
+      order_name: order.name,
+      order_created_at: order.createdAt,
+    });
+  } catch (e) {
+    console.error("[find-ticket]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// Issue categories for the storefront's ticket form: [{ id, label }]
+app.get(`${PROXY_MOUNT}/categories`, (req, res) => {
+  const sigError = proxySignatureError(req);
+  if (sigError) return res.status(401).json({ ok: false, error: sigError });
+  res.set("Cache-Control", "public, max-age=300");
+  res.json({ ok: true, categories: CATEGORIES.map(({ id, label }) => ({ id, label })) });
+});
+
+// Raw-body upload (no multipart): the storefront POSTs the file itself, e.g.
+//   fetch(`/apps/<proxy>/upload-attachment?order_id=…&ticket_id=…&filename=${file.name}`,
+//         { method: "POST", body: file })
+// with order_email/order_name in the query for guests. ≤ ATTACHMENT_MAX_MB each,
+// ≤ ATTACHMENT_MAX_COUNT per ticket; JPEG/PNG/GIF/WebP/PDF only.
+const readUpload = (req, res) =>
+  new Promise((resolve, reject) =>
+    express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES })(req, res, (err) => (err ? reject(err) : resolve(req.body)))
+  );
+
+app.post(`${PROXY_MOUNT}/upload-attachment`, async (req, res) => {
+  let ref = null;
+  try {
+    const sigError = proxySignatureError(req, { once: true });
+    if (sigError) return res.status(401).json({ ok: false, error: sigError });
+
+    const order_id = String(req.query.order_id || "").trim();
+    const ticket_id = String(req.query.ticket_id || "").trim();
+    if (!order_id || !ticket_id)
+      return res.status(400).json({ ok: false, error: "missing_fields", fields: ["order_id", "ticket_id"] });
+
+    // ownership before reading the body, so strangers can't make us buffer files
+    const { order, ticket: found } = await store.getTicket(order_id, ticket_id);
+    const denied = orderOwnershipError(req, order, {
+      email: req.query.order_email || req.query.email,
+      order_name: req.query.order_name,
+    });
+    if (denied) return sendOwnershipError(res, denied);
+    if (!found) return res.status(404).json({ ok: false, error: "ticket_not_found" });
+    if (isClosed(found.status)) return res.status(423).json({ ok: false, error: "ticket_closed_use_reopen" });
+    if ((found.attachments || []).length >= ATTACHMENT_MAX_COUNT)
+      return res.status(400).json({ ok: false, error: "too_many_attachments", max: ATTACHMENT_MAX_COUNT });
+
+    let buf;
+    try {
+      buf = await readUpload(req, res);
+    } catch (e) {
+      if (e.type === "entity.too.large")
+        return res.status(413).json({ ok: false, error: "file_too_large", max_bytes: ATTACHMENT_MAX_BYTES });
+      return res.status(400).json({ ok: false, error: "bad_upload" });
+    }
+    // form/JSON bodies were already parsed by the global middleware: not a file
+    const kind = Buffer.isBuffer(buf) && buf.length ? sniffAttachment(buf) : null;
+    if (Buffer.isBuffer(buf) && !buf.length) return res.status(400).json({ ok: false, error: "empty_file" });
+    if (!kind)
+      return res.status(415).json({ ok: false, error: "unsupported_type", allowed: ATTACHMENT_TYPES.map((t) => t.type) });
+
+    const now = new Date().toISOString();
+    const customer = { type: "customer", id: req.query.logged_in_customer_id || null };
+    const att = {
+      id: crypto.randomUUID(),
+      filename: cleanFilename(req.query.filename, kind.ext),
+      content_type: kind.type,
+      size: buf.length,
+      uploaded_at: now,
+      uploaded_by: customer,
+      storage: attachments.kind,
+    };
+    ref = att.ref = await attachments.put({ id: att.id, buf, content_type: att.content_type, filename: att.filename });
+
+    // appending doesn't depend on the rest of the ticket, so a concurrent edit
+    // just means re-reading and appending again
+    let prev = found;
+    let ticket;
+    for (let attempt = 0; !ticket; attempt++) {
+      try {
+        const list = [...(prev.attachments || []), att];
+        ticket = await store.saveTicket(order_id, { ...prev, attachments: list, updated_at: now, updated_by: customer }, prev.version);
+      } catch (e) {
+        if (e.code !== "conflict" || attempt >= 2) throw e;
+        prev = (await store.getTicket(order_id, ticket_id)).ticket;
+        if (!prev || isClosed(prev.status) || (prev.attachments || []).length >= ATTACHMENT_MAX_COUNT) throw e;
+      }
+    }
+    ref = null; // kept
+    res.status(201).json({ ok: true, attachment: publicAttachment(att), ticket: customerTicket(ticket) });
+  } catch (e) {
+    if (ref) attachments.remove(ref); // don't leave an orphaned file behind
+    if (e.code === "conflict") return sendConflict(res, e, customerTicket);
+    console.error("[upload-attachment]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ======================================================================
+// Shopify webhooks (keep local ticket state in sync without polling)
+// ======================================================================
+const WEBHOOK_TOPICS = ["orders/updated", "orders/cancelled", "orders/delete"];
+// Shopify retries a delivery with the same X-Shopify-Webhook-Id for up to 48h
+const WEBHOOK_ID_TTL_MS = 48 * 3600 * 1000;
+const WEBHOOK_ID_MAX = 10_000;
+const seenWebhooks = new Map();      // webhook id → handled at (ms), oldest first
+const inflightWebhooks = new Set();
+function rememberWebhook(id) {
+  const now = Date.now();
+  for (const [k, at] of seenWebhooks) {
+    if (now - at < WEBHOOK_ID_TTL_MS && seenWebhooks.size < WEBHOOK_ID_MAX) break;
+    seenWebhooks.delete(k);
+  }
+  seenWebhooks.set(id, now);
+}
+
+async function handleOrderWebhook(topic, orderId) {
+  orderContextCache.delete(String(orderId));
+  const index = store.index;
+  if (!index) return; // local stores keep no derived order state
+  if (topic === "orders/delete") return index.removeOrder(orderId);
+  // orders/updated fires for every order; only ones with tickets matter here
+  if (!index.has(orderId)) return;
+  await index.refreshOrder(orderId); // picks up order name + cancelledAt
+}
+
+app.post("/webhooks/shopify", async (req, res) => {
+  if (!verifyWebhookSignature(req))
+    return res.status(401).json({ ok: false, error: "invalid_hmac" });
+
+  const topic = String(req.get("X-Shopify-Topic") || "");
+  const webhookId = String(req.get("X-Shopify-Webhook-Id") || "");
+  if (webhookId && (seenWebhooks.has(webhookId) || inflightWebhooks.has(webhookId)))
+    return res.json({ ok: true, duplicate: true });
+
+  const orderId = req.body?.id;
+  if (!WEBHOOK_TOPICS.includes(topic) || !orderId)
+    return res.json({ ok: true, ignored: true });
+
+  if (webhookId) inflightWebhooks.add(webhookId);
+  try {
+    await handleOrderWebhook(topic, orderId);
+    if (webhookId) rememberWebhook(webhookId);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[webhook]", topic, e);
+    res.status(500).json({ ok: false, error: String(e.message || e) }); // Shopify will retry
+  } finally {
+    inflightWebhooks.delete(webhookId);
+  }
+});
+
+// ======================================================================
+// Admin (programmatic) API
+// ======================================================================
+const ADMIN_UI_KEY = process.env.ADMIN_UI_KEY || "";
+const ADMIN_SUPERVISOR_KEY = process.env.ADMIN_SUPERVISOR_KEY || "";
+// → "supervisor" | "admin" | null for the request's Bearer / X-Admin-UI-Key
+function adminKeyScope(req) {
+  const bearer = String(req.headers.authorization || "")
+    .replace(/^Bearer\s+/i, "")
+    .trim();
+  const xkey = String(req.headers["x-admin-ui-key"] || "").trim();
+  const is = (key) => key && (bearer === key || xkey === key);
+  if (is(ADMIN_SUPERVISOR_KEY)) return "supervisor";
+  if (is(ADMIN_UI_KEY)) return "admin";
+  return null;
+}
+function requireAdmin(req, res, next) {
+  if (adminKeyScope(req)) return next();
+  return res.status(401).json({ ok: false, error: "unauthorized" });
+}
+function requireSupervisorKey(req, res, next) {
+  const scope = adminKeyScope(req);
+  if (scope === "supervisor") return next();
+  return res.status(scope ? 403 : 401).json({ ok: false, error: scope ? "forbidden" : "unauthorized" });
+}
+app.use((req, res, next) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-UI-Key");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
+
+// ---------- staff edits (shared by /admin/tickets/update and /admin/ui/update)
+// Staff user id (or username) → id; "" / null unassigns. Disabled or removed
+// users are refused only when newly assigned (`current` = ticket's assignee),
+// so saves on their tickets still go through.
+function resolveAssignee(v, current = null) {
+  if (v === null || v === "") return null;
+  if (current && String(v) === current) return current;
+  const user = staff.get(String(v)) || staff.byUsername(v);
+  if (user && user.id === current) return current;
+  if (!user || user.disabled) throw httpError(400, "invalid_assignee");
+  return user.id;
+}
+// Query value → list filter: id/username, "none"/"unassigned", or "me" (panel session)
+function assigneeFilter(v, me) {
+  const x = String(v ?? "").trim();
+  if (!x || x === "all") return undefined;
+  if (x === "none" || x === "unassigned") return "none";
+  if (x === "me") return me?.id || "none";
+  return (staff.get(x) || staff.byUsername(x))?.id || x;
+}
+
+// ?from= / ?to= → ISO bound; a bare date (YYYY-MM-DD) covers that whole day
+function dateBound(v, end) {
+  if (v == null || v === "") return undefined;
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+  const ms = Date.parse(day ? `${v}T00:00:00Z` : String(v));
+  if (Number.isNaN(ms)) throw httpError(400, "invalid_date");
+  return new Date(day && end ? ms + 86400000 : ms).toISOString();
+}
+
+// Query → listTickets filter, shared by /admin/tickets and /admin/ui/tickets:
+// since, status, assignee, q, from, to, priority (a,b), tag, category,
+// sort (LIST_SORTS), order (asc|desc), cursor, limit
+function listFilter(query = {}, me) {
+  const sort = String(query.sort || "updated_at");
+  if (!LIST_SORTS.includes(sort)) throw httpError(400, "invalid_sort");
+  const order = String(query.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") throw httpError(400, "invalid_order");
+  return {
+    since: query.since,
+    status: normalizeStatus(query.status),
+    assignee: assigneeFilter(query.assignee, me),
+    q: String(query.q || "").trim().slice(0, 200),
+    from: dateBound(query.from),
+    to: dateBound(query.to, true),
+    priority: query.priority ? String(query.priority).split(",").map(parsePriority) : undefined,
+    tag: query.tag ? String(query.tag).trim().toLowerCase() : undefined,
+    category: query.category ? String(query.category) : undefined,
+    sort,
+    order,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort, order) : null,
+    limit: query.limit,
+  };
+}
+
+// Applies { status?, reply?, note?, assignee?, priority?, tags?, category? } from `body` on top of `prev` and
+// returns the next ticket. `actor` is staffActor(user) or { type: "api_key" }.
+function staffUpdate({ prev, order, body, actor, now }) {
+  // HARD LOCK for UI/Admin: cannot update once closed
+  if (isClosed(prev.status)) throw httpError(423, "ticket_closed_admin_locked");
+
+  // no status in the body keeps the current one
+  const status = normalizeStatus(body.status || prev.status || "pending");
+  const reply  = typeof body.reply === "string" ? body.reply.slice(0, 4000) : undefined;
+  const note   = typeof body.note === "string" ? body.note.trim().slice(0, 4000) : "";
+  const next = {
+    ...prev,
+    ticket_id: body.ticket_id,
+    status,
+    order_id: body.order_id,
+    order_name: prev.order_name || order?.name || "",
+    created_at: prev.created_at || now,
+    updated_at: now,
+    messages: appendMessage(prev, "staff", reply, now, actor.type === "staff" ? actor.name : undefined),
+    history: historyWith(prev, status, actor, now),
+    updated_by: actor,
+    ...(reply?.trim() ? { admin_reply: reply.trim() } : {}),  // latest staff reply (legacy readers)
+    ...(note ? { notes: [...(prev.notes || []), { at: now, by: actor, body: note }] } : {}),
+  };
+
+  if (body.priority !== undefined) next.priority = parsePriority(body.priority);
+  if (body.tags !== undefined) next.tags = parseTags(body.tags);
+  if (body.category !== undefined) next.category = parseCategory(body.category);
+
+  if (body.assignee !== undefined) {
+    const assignee = resolveAssignee(body.assignee, prev.assignee || null);
+    if (assignee !== (prev.assignee || null)) {
+      next.assignee = assignee;
+      next.assigned_at = now;
+      next.assigned_by = actor;
+    }
+  }
+  return next;
+}
+
+// Privileged override for a ticket closed by mistake: back to `status`
+// ("pending" default, or "in_progress") with reopened_by "staff" and the
+// required reason, which also lands on the history entry.
+function staffReopen({ prev, body, actor, now }) {
+  if (!isClosed(prev.status)) throw httpError(409, "ticket_not_closed");
+  const reason = String(body.reason ?? "").trim().slice(0, 1000);
+  if (!reason) throw httpError(400, "reason_required");
+  const status = normalizeStatus(body.status || "pending");
+  if (status !== "pending" && status !== "in_progress") throw httpError(400, "invalid_status");
+
+  const { closed_at, closed_by, auto_close_at, auto_close_warned_at, ...rest } = prev;
+  const history = historyWith(prev, status, actor, now);
+  history[history.length - 1] = { ...history[history.length - 1], reason };
+  return {
+    ...rest,
+    status,
+    updated_at: now,
+    reopened_at: now,
+    reopened_by: "staff",
+    reopen_reason: reason,
+    history,
+    updated_by: actor,
+  };
+}
+
+async function reopenTicket(req, res, actor) {
+  try {
+    const { order_id, ticket_id } = req.body || {};
+    if (!order_id || !ticket_id)
+      return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
+
+    const { ticket: prev } = await store.getTicket(order_id, ticket_id);
+    if (!prev) return res.status(404).json({ ok: false, error: "ticket_not_found" });
+    checkVersion(prev, req.body?.version);
+
+    const next = staffReopen({ prev, body: req.body, actor, now: new Date().toISOString() });
+    const ticket = await store.saveTicket(order_id, next, prev.version);
+    res.json({ ok: true, ticket: withSla(ticket) });
+  } catch (e) {
+    if (e.code === "conflict") return sendConflict(res, e);
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[reopen]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+}
+
+// Optional round-robin (AUTO_ASSIGN=round_robin) for new pending tickets,
+// rotating over active staff whose role is in AUTO_ASSIGN_ROLES.
+const AUTO_ASSIGN = String(process.env.AUTO_ASSIGN || "").toLowerCase() === "round_robin";
+const AUTO_ASSIGN_ROLES = String(process.env.AUTO_ASSIGN_ROLES || "agent").split(",").map((r) => r.trim());
+let lastAutoAssignee = null;
+function nextAutoAssignee() {
+  if (!AUTO_ASSIGN) return null;
+  const pool = staff.list().filter((u) => !u.disabled && AUTO_ASSIGN_ROLES.includes(u.role));
+  if (!pool.length) return null;
+  const i = pool.findIndex((u) => u.id === lastAutoAssignee);
+  lastAutoAssignee = pool[(i + 1) % pool.length].id;
+  return lastAutoAssignee;
+}
+
+app.get("/admin/tickets", requireAdmin, async (req, res) => {
+  try {
+    // ?include=history,notes adds the status audit trail / internal notes (omitted by default)
+    const include = String(req.query.include || "").split(",").map((x) => x.trim());
+    const page = await store.listTickets(listFilter(req.query));
+    let tickets = page.tickets.map((t) => withSla(t));
+    if (!include.includes("history")) tickets = tickets.map(({ history, ...t }) => t);
+    if (!include.includes("notes")) tickets = tickets.map(({ notes, ...t }) => t);
+    res.json({ ok: true, count: tickets.length, tickets, next_cursor: page.next_cursor });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("GET /admin/tickets", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ---------- Export: CSV or NDJSON, streamed straight from store.scanTickets
+// (no 1000 cap, nothing buffered). Same filters as the list plus
+// ?format=csv|ndjson and ?columns=a,b,c (EXPORT_COLUMNS keys).
+const staffName = (id) => (id ? staff.get(id)?.name || staff.get(id)?.username || "" : "");
+const EXPORT_COLUMNS = {
+  order_id:          (t) => t.order_id,
+  order_name:        (t) => t.order_name,
+  ticket_id:         (t) => t.ticket_id,
+  status:            (t) => t.status,
+  priority:          (t) => t.priority,
+  issue:             (t) => t.issue,
+  category:          (t) => t.category,
+  tags:              (t) => t.tags.join("; "),
+  name:              (t) => t.name,
+  email:             (t) => t.email,
+  phone:             (t) => t.phone,
+  assignee:          (t) => t.assignee,
+  assignee_name:     (t) => staffName(t.assignee),
+  created_at:        (t) => t.created_at,
+  updated_at:        (t) => t.updated_at,
+  message:           (t) => t.message,
+  admin_reply:       (t) => t.admin_reply,
+  message_count:     (t) => t.messages.length,
+  first_response_at: (t) => t.first_response_at,
+  closed_at:         (t) => t.closed_at,
+  sla_status:        (t) => t.sla?.status,
+  sla_due_at:        (t) => t.sla?.due_at,
+  version:           (t) => t.version,
+};
+const EXPORT_DEFAULT_COLUMNS = [
+  "order_id", "order_name", "ticket_id", "status", "priority", "issue", "name", "email", "phone",
+  "assignee_name", "created_at", "updated_at", "sla_status",
+];
+
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  // spreadsheet formula injection: =, +, -, @ lead a formula unless it's just a number/phone
+  if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?[\d\s().-]+$/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function sendTicketExport(req, res, me) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "ndjson")
+    return res.status(400).json({ ok: false, error: "invalid_format" });
+  const columns = req.query.columns
+    ? String(req.query.columns).split(",").map((c) => c.trim()).filter(Boolean)
+    : EXPORT_DEFAULT_COLUMNS;
+  const unknown = columns.filter((c) => !Object.hasOwn(EXPORT_COLUMNS, c));
+  if (!columns.length || unknown.length)
+    return res.status(400).json({ ok: false, error: "invalid_columns", unknown, allowed: Object.keys(EXPORT_COLUMNS) });
+
+  try {
+    const filter = listFilter(req.query, me);
+    const csv = format === "csv";
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, "").replace("T", "-");
+    res.set({
+      "Content-Type": csv ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+      "Content-Disposition": `attachment; filename="tickets-${stamp}.${format}"`,
+      "Cache-Control": "no-store",
+    });
+
+    if (csv) res.write("\ufeff" + columns.join(",") + "\r\n"); // BOM so Excel reads UTF-8
+    for await (const rec of store.scanTickets(filter)) {
+      if (res.destroyed) return; // client went away
+      const t = withSla(rec);
+      const line = csv
+        ? columns.map((c) => csvCell(EXPORT_COLUMNS[c](t))).join(",") + "\r\n"
+        : JSON.stringify(Object.fromEntries(columns.map((c) => [c, EXPORT_COLUMNS[c](t) ?? null]))) + "\n";
+      if (!res.write(line)) await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+    res.end();
+  } catch (e) {
+    if (e.status && !res.headersSent) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[export]", e);
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: String(e.message || e) });
+    res.destroy(e); // mid-stream: cut it so the file isn't mistaken for complete
+  }
+}
+
+app.get("/admin/tickets/export", requireAdmin, (req, res) => sendTicketExport(req, res));
+
+app.post("/admin/tickets/update", requireAdmin, async (req, res) => {
+  try {
+    const { order_id, ticket_id } = req.body || {};
+    if (!order_id || !ticket_id)
+      return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
+
+    const { order, ticket: found } = await store.getTicket(order_id, ticket_id);
+    const prev = found || {};
+    checkVersion(prev, req.body?.version);
+
+    const next = staffUpdate({ prev, order, body: req.body, actor: { type: "api_key" }, now: new Date().toISOString() });
+    const ticket = await store.saveTicket(order_id, next, prev.version);
+    res.json({ ok: true, ticket: withSla(ticket) });
+  } catch (e) {
+    if (e.code === "conflict") return sendConflict(res, e);
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("POST /admin/tickets/update", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ---------- bulk update
+// { tickets: [{ order_id, ticket_id, version? }], status?, assignee?, reply? }
+// → { ok, updated, failed, results: [{ order_id, ticket_id, ok, ticket | error }] }
+// in request order. One store write per order, BULK_CONCURRENCY orders at a
+// time; the closed lock and version check run per ticket, so one failure
+// doesn't sink the rest.
+const BULK_MAX = 200;
+const BULK_CONCURRENCY = 4;
+
+async function bulkUpdate(req, res, actor) {
+  try {
+    const { tickets, status, assignee, reply } = req.body || {};
+    if (!Array.isArray(tickets) || !tickets.length || tickets.length > BULK_MAX)
+      return res.status(400).json({ ok: false, error: "invalid_tickets", max: BULK_MAX });
+    if (status === undefined && assignee === undefined && !String(reply ?? "").trim())
+      return res.status(400).json({ ok: false, error: "nothing_to_update" });
+    if (status !== undefined && !["pending", "in_progress", "closed"].includes(normalizeStatus(status)))
+      return res.status(400).json({ ok: false, error: "invalid_status" });
+    if (assignee !== undefined) resolveAssignee(assignee); // 400 before anything is written
+
+    const byOrder = new Map(); // order_id → Map(ticket_id → version)
+    const keys = [];
+    for (const item of tickets) {
+      const order_id = String(item?.order_id ?? "").trim();
+      const ticket_id = String(item?.ticket_id ?? "").trim();
+      if (!order_id || !ticket_id)
+        return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
+      if (!byOrder.has(order_id)) byOrder.set(order_id, new Map());
+      if (!byOrder.get(order_id).has(ticket_id)) keys.push(`${order_id}/${ticket_id}`);
+      byOrder.get(order_id).set(ticket_id, item.version);
+    }
+
+    const now = new Date().toISOString();
+    const results = new Map();
+    const runOrder = async ([order_id, versions]) => {
+      try {
+        const out = await store.updateTickets(order_id, [...versions.keys()], (prev, order, ticket_id) => {
+          checkVersion(prev, versions.get(ticket_id));
+          return staffUpdate({ prev, order, body: { order_id, ticket_id, status, reply, assignee }, actor, now });
+        });
+        for (const r of out) {
+          results.set(`${order_id}/${r.ticket_id}`, r.ok
+            ? { order_id, ticket_id: r.ticket_id, ok: true, ticket: withSla(r.ticket) }
+            : { order_id, ticket_id: r.ticket_id, ok: false, error: r.error.message, ...(r.error.code === "conflict" ? { ticket: r.error.ticket } : {}) });
+        }
+      } catch (e) {
+        console.error("[bulk-update]", order_id, e);
+        for (const ticket_id of versions.keys())
+          results.set(`${order_id}/${ticket_id}`, { order_id, ticket_id, ok: false, error: String(e.message || e) });
+      }
+    };
+    const orders = [...byOrder];
+    for (let i = 0; i < orders.length; i += BULK_CONCURRENCY) {
+      await Promise.all(orders.slice(i, i + BULK_CONCURRENCY).map(runOrder));
+    }
+
+    const list = keys.map((k) => results.get(k));
+    const updated = list.filter((r) => r.ok).length;
+    res.json({ ok: true, updated, failed: list.length - updated, results: list });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[bulk-update]", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+}
+
+app.post("/admin/tickets/bulk-update", requireAdmin, (req, res) => bulkUpdate(req, res, { type: "api_key" }));
+
+// { order_id, ticket_id, reason, status?, version? } — ADMIN_SUPERVISOR_KEY only
+app.post("/admin/tickets/reopen", requireSupervisorKey, (req, res) => reopenTicket(req, res, { type: "api_key" }));
+
+// ---------- auto-close
+// Tickets in AUTO_CLOSE_STATUSES with no activity for AUTO_CLOSE_DAYS — counted
+// from the later of the customer's last message / status change and staff's
+// last reply / status change — get a warning reply and auto_close_at; once that
+// passes with still no customer activity they're closed with closed_by "system".
+// A customer reply / reopen through attach-ticket clears the countdown.
+const AUTO_CLOSE = {
+  days: Number(process.env.AUTO_CLOSE_DAYS || 0),
+  grace_days: Number(process.env.AUTO_CLOSE_GRACE_DAYS ?? 3),
+  statuses: String(process.env.AUTO_CLOSE_STATUSES || "in_progress")
+    .split(",").map(normalizeStatus).filter((s) => s === "pending" || s === "in_progress"),
+  interval_ms: Math.max(1, Number(process.env.AUTO_CLOSE_INTERVAL_MIN || 60)) * 60_000,
+  dry_run: truthy(process.env.AUTO_CLOSE_DRY_RUN),
+};
+const DAY_MS = 86_400_000;
+const SYSTEM_ACTOR = { type: "system" };
+
+function lastCustomerActivity(t) {
+  const ats = [t.created_at];
+  for (const m of threadOf(t)) if (m.author === "customer") ats.push(m.at);
+  for (const h of t.history || []) if (h.actor?.type === "customer") ats.push(h.at);
+  return Math.max(0, ...ats.map((at) => Date.parse(at) || 0));
+}
+// last staff/API reply or status change (not the system's warning)
+function lastStaffActivity(t) {
+  const ats = threadOf(t).filter((m) => m.author === "staff" && m.by !== "system").map((m) => m.at);
+  for (const h of t.history || [])
+    if (h.from && !h.action && (h.actor?.type === "staff" || h.actor?.type === "api_key")) ats.push(h.at);
+  return Math.max(0, ...ats.map((at) => Date.parse(at) || 0));
+}
+
+// "warn" | "close" | "cancel" | null for one ticket (stored or record shape)
+function autoCloseAction(t, now) {
+  const eligible = AUTO_CLOSE.statuses.includes(normalizeStatus(t.status));
+  if (t.auto_close_at) {
+    if (!eligible || lastCustomerActivity(t) > (Date.parse(t.auto_close_warned_at) || 0)) return "cancel";
+    return Date.parse(t.auto_close_at) <= now ? "close" : null;
+  }
+  const quietSince = Math.max(lastCustomerActivity(t), lastStaffActivity(t));
+  return eligible && quietSince <= now - AUTO_CLOSE.days * DAY_MS ? "warn" : null;
+}
+
+function applyAutoClose(prev, action, now) {
+  const at = new Date(now).toISOString();
+  const { auto_close_at, auto_close_warned_at, ...rest } = prev;
+  if (action === "cancel") return { ...rest, updated_at: at };
+  if (action === "warn") {
+    const closeAt = new Date(now + AUTO_CLOSE.grace_days * DAY_MS).toISOString();
+    const body = "We haven't heard back from you, so this ticket will be closed automatically on " +
+      closeAt.slice(0, 10) + ". Reply here if you still need help.";
+    return {
+      ...rest,
+      messages: appendMessage(prev, "staff", body, at, "system"),
+      auto_close_warned_at: at,
+      auto_close_at: closeAt,
+      updated_at: at,
+      updated_by: SYSTEM_ACTOR,
+    };
+  }
+  return {
+    ...rest,
+    status: "closed",
+    closed_at: at,
+    closed_by: "system",
+    history: historyWith(prev, "closed", SYSTEM_ACTOR, at),
+    updated_at: at,
+    updated_by: SYSTEM_ACTOR,
+  };
+}
+
+// One pass over every ticket → { dry_run, warned, closed, cancelled, failed, tickets }.
+// The action is re-derived from the stored ticket inside the write, so a
+// customer reply that lands mid-run wins. Calls made during a pass of the same
+// kind share it; the other kind (real vs dry run) gets 409 auto_close_running.
+let autoCloseRunning = null; // { dry_run, promise }
+function runAutoClose({ dry_run = AUTO_CLOSE.dry_run } = {}) {
+  if (autoCloseRunning && autoCloseRunning.dry_run !== dry_run) return Promise.reject(httpError(409, "auto_close_running"));
+  autoCloseRunning ||= { dry_run, promise: (async () => {
+    const now = Date.now();
+    const report = { dry_run, warned: 0, closed: 0, cancelled: 0, failed: 0, tickets: [] };
+    const byOrder = new Map(); // order_id → Map(ticket_id → action)
+    for await (const rec of store.scanTickets({})) {
+      const action = autoCloseAction(rec, now);
+      if (!action) continue;
+      const order_id = String(rec.order_id);
+      if (!byOrder.has(order_id)) byOrder.set(order_id, new Map());
+      byOrder.get(order_id).set(rec.ticket_id, action);
+    }
+    const count = { warn: "warned", close: "closed", cancel: "cancelled" };
+    for (const [order_id, actions] of byOrder) {
+      if (dry_run) {
+        for (const [ticket_id, action] of actions) {
+          report[count[action]]++;
+          report.tickets.push({ order_id, ticket_id, action });
+        }
+        continue;
+      }
+      try {
+        const out = await store.updateTickets(order_id, [...actions.keys()], (prev, _order, ticket_id) => {
+          const action = autoCloseAction(prev, now);
+          if (action !== actions.get(ticket_id)) throw httpError(409, "changed");
+          return applyAutoClose(prev, action, now);
+        });
+        for (const r of out) {
+          const action = actions.get(r.ticket_id);
+          if (r.ok) report[count[action]]++;
+          else if (r.error.message !== "changed") report.failed++;
+          report.tickets.push({ order_id, ticket_id: r.ticket_id, action, ok: r.ok, ...(r.ok ? {} : { error: r.error.message }) });
+        }
+      } catch (e) {
+        console.error("[auto-close]", order_id, e);
+        report.failed += actions.size;
+      }
+    }
+    if (report.tickets.length)
+      console.log(`[auto-close]${dry_run ? " dry run:" : ""} warned ${report.warned}, closed ${report.closed}, cancelled ${report.cancelled}, failed ${report.failed}`);
+    return report;
+  })().finally(() => { autoCloseRunning = null; }) };
+  return autoCloseRunning.promise;
+}
+
+// Run a pass now (e.g. from cron or to preview with { dry_run: true }).
+app.post("/admin/tickets/auto-close", requireAdmin, async (req, res) => {
+  if (!AUTO_CLOSE.days) return res.status(409).json({ ok: false, error: "auto_close_disabled" });
+  try {
+    const dry_run = req.body?.dry_run !== undefined ? truthy(req.body.dry_run) : AUTO_CLOSE.dry_run;
+    res.json({ ok: true, ...(await runAutoClose({ dry_run })) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("POST /admin/tickets/auto-close", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ---------- retrying delivery queue (customer emails, outbound webhooks)
+// Persistent queue + delivery log in one JSON file:
+// { jobs: { [id]: { id, status, attempts, created_at, next_at?, sent_at?, error?, payload?, …meta } } }
+// status: queued → sent | failed (after maxAttempts, backing off 30s ×4 up to 1h),
+// or skipped (never sendable). `deliver(job)` throws to retry and may return
+// fields to keep on the job. The payload is dropped once a job is done unless
+// `keepPayload` (needed for replay); queued jobs survive a restart either way.
+const RETRY_BACKOFF_MS = (attempts) => Math.min(30_000 * 4 ** (attempts - 1), 3_600_000);
+const DELIVERY_LOG_DAYS = 90;
+function createRetryQueue({ file, label, deliver, maxAttempts = 5, keepPayload = false }) {
+  const db = readJsonFile(file, { jobs: {} });
+  db.jobs ||= {};
+  const save = createJsonFileWriter(file);
+  const persist = () => save(db).catch((e) => console.error(`[${label}] log write failed`, e));
+  const done = (job) => { if (!keepPayload) delete job.payload; delete job.next_at; };
+  let timer = null;
+  let running = false;
+
+  function schedule() {
+    clearTimeout(timer);
+    const next = Math.min(...Object.values(db.jobs).filter((j) => j.status === "queued").map((j) => Date.parse(j.next_at)));
+    if (Number.isFinite(next)) timer = setTimeout(pump, Math.max(0, next - Date.now())).unref();
+  }
+
+  async function pump() {
+    if (running) return;
+    running = true;
+    try {
+      const due = () => Object.values(db.jobs)
+        .filter((j) => j.status === "queued" && Date.parse(j.next_at) <= Date.now())
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+      for (let jobs = due(); jobs.length; jobs = due()) {
+        for (const job of jobs) {
+          job.attempts += 1;
+          try {
+            const extra = await deliver(job);
+            Object.assign(job, extra, { status: "sent", sent_at: new Date().toISOString() });
+            delete job.error;
+            done(job);
+          } catch (e) {
+            job.error = String(e.message || e);
+            if (job.attempts >= maxAttempts) {
+              job.status = "failed";
+              done(job);
+              console.error(`[${label}] ${job.id} failed after ${job.attempts} attempts:`, job.error);
+            } else {
+              job.next_at = new Date(Date.now() + RETRY_BACKOFF_MS(job.attempts)).toISOString();
+            }
+          }
+          persist();
+        }
+      }
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  const view = ({ payload, ...j }) => j;
+  return {
+    // `skip` (an error code) logs the job as skipped instead of queueing it
+    enqueue(meta, payload, { skip } = {}) {
+      const now = new Date().toISOString();
+      const id = crypto.randomUUID();
+      db.jobs[id] = skip
+        ? { id, ...meta, status: "skipped", attempts: 0, created_at: now, error: skip }
+        : { id, ...meta, status: "queued", attempts: 0, created_at: now, next_at: now, payload };
+      persist();
+      if (!skip) setImmediate(pump);
+      return view(db.jobs[id]);
+    },
+
+    // newest first, without payloads
+    list: (match = () => true) => Object.values(db.jobs)
+      .filter(match)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(view),
+
+    get: (id) => db.jobs[id] || null,
+
+    // re-send a finished job as-is (same id and payload); attempts start over
+    replay(id) {
+      const job = db.jobs[id];
+      if (!job) throw httpError(404, "not_found");
+      if (job.status === "queued") throw httpError(409, "already_queued");
+      if (!job.payload) throw httpError(409, "payload_unavailable");
+      Object.assign(job, { status: "queued", attempts: 0, next_at: new Date().toISOString(), replayed_at: new Date().toISOString() });
+      persist();
+      setImmediate(pump);
+      return view(job);
+    },
+
+    start() {
+      const cutoff = new Date(Date.now() - DELIVERY_LOG_DAYS * 86_400_000).toISOString();
+      for (const [id, j] of Object.entries(db.jobs))
+        if (j.status !== "queued" && j.created_at < cutoff) delete db.jobs[id];
+      pump();
+    },
+  };
+}
+
+// ---------- customer email notifications
+// Every save that carries a staff reply or a staff/system status change
+// (whichever route made it — see ticketNotice) queues one email to the
+// ticket's `email`, rendered from EMAIL_TEMPLATES_DIR/<kind>.{txt,html}
+// (kind: reply | status | closed; first .txt line is "Subject: …"). Templates
+// are read on every send, so edits apply without a restart.
+const EMAIL_TEMPLATES_DIR = path.resolve(process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, "config", "email-templates"));
+const EMAIL_SHOP_NAME = process.env.EMAIL_SHOP_NAME || "ZUVIC";
+const STATUS_LABELS = { pending: "Pending", in_progress: "In progress", closed: "Closed" };
+
+// {{var}} is substituted (HTML-escaped for .html); {{#var}}…{{/var}} is kept only when var is truthy.
+function renderTemplate(src, vars, escape = (v) => v) {
+  return src
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, k, body) => (vars[k] ? body : ""))
+    .replace(/\{\{(\w+)\}\}/g, (_, k) => escape(String(vars[k] ?? "")));
+}
+function renderEmail(kind, vars) {
+  const read = (ext) => fs.readFileSync(path.join(EMAIL_TEMPLATES_DIR, `${kind}.${ext}`), "utf8");
+  const txt = renderTemplate(read("txt"), vars);
+  const m = /^Subject:[ \t]*(.*)\r?\n/.exec(txt);
+  return {
+    subject: m ? m[1].trim() : `Support ticket ${vars.ticket_id}`,
+    text: m ? txt.slice(m[0].length) : txt,
+    html: renderTemplate(read("html"), vars, escHtml),
+  };
+}
+
+// saved ticket → { kind, reply, status_changed } | null. A reply / status
+// change belongs to this save when its timestamp is the save's updated_at.
+function ticketNotice(t) {
+  const last = threadOf(t).at(-1);
+  const reply = last?.author === "staff" && last.at === t.updated_at ? last.body : "";
+  const h = Array.isArray(t.history) ? t.history.at(-1) : null;
+  const status_changed = Boolean(h && !h.action && h.at === t.updated_at && h.actor?.type !== "customer");
+  if (!reply && !status_changed) return null;
+  const kind = status_changed && isClosed(t.status) ? "closed" : reply ? "reply" : "status";
+  return { kind, reply, status_changed };
+}
+
+// Transport: { send(message, id) → { id } } over nodemailer. "file" writes
+// <id>.eml to EMAIL_OUTBOX_DIR, "console" logs the text part (dev).
+function createMailTransport() {
+  const kind = String(process.env.EMAIL_TRANSPORT || "").trim().toLowerCase();
+  if (!kind || kind === "off") return null;
+  if (kind === "smtp") {
+    const t = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: truthy(process.env.SMTP_SECURE),
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    return { kind, send: async (msg) => ({ id: (await t.sendMail(msg)).messageId }) };
+  }
+  if (kind === "file") {
+    const dir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, "data", "outbox"));
+    const t = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+    return {
+      kind,
+      async send(msg, id) {
+        const info = await t.sendMail(msg);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${id}.eml`), info.message);
+        return { id: info.messageId };
+      },
+    };
+  }
+  if (kind === "console") {
+    return {
+      kind,
+      async send(msg, id) {
+        console.log(`[email] ${id} to=${msg.to} subject=${JSON.stringify(msg.subject)}\n${msg.text}`);
+        return { id };
+      },
+    };
+  }
+  throw new Error(`Unknown EMAIL_TRANSPORT "${kind}" (expected smtp, file or console)`);
+}
+
+const mailTransport = createMailTransport();
+// Delivery log entries: { order_id, ticket_id, kind, to, subject, message_id? } + queue fields
+const mailQueue = mailTransport && createRetryQueue({
+  file: path.resolve(process.env.EMAIL_LOG_FILE || path.join(__dirname, "data", "email-log.json")),
+  label: "email",
+  maxAttempts: Math.max(1, Number(process.env.EMAIL_MAX_ATTEMPTS || 5)),
+  deliver: async (job) => ({ message_id: (await mailTransport.send(job.payload, job.id))?.id || null }),
+});
+const EMAIL_FROM = process.env.EMAIL_FROM || `"${EMAIL_SHOP_NAME} Support" <support@localhost>`;
+
+function notifyCustomer(order_id, t) {
+  const notice = ticketNotice(t);
+  if (!notice) return;
+  try {
+    const message = renderEmail(notice.kind, {
+      shop_name: EMAIL_SHOP_NAME,
+      name: t.name || "there",
+      ticket_id: t.ticket_id,
+      order_name: t.order_name || "",
+      status: STATUS_LABELS[normalizeStatus(t.status)] || t.status,
+      reply: notice.reply,
+      status_changed: notice.status_changed,
+    });
+    mailQueue.enqueue(
+      { order_id: String(order_id), ticket_id: t.ticket_id, kind: notice.kind, to: t.email || "", subject: message.subject },
+      { from: EMAIL_FROM, to: t.email, ...message },
+      { skip: EMAIL_RE.test(String(t.email || "")) ? undefined : "no_valid_email" },
+    );
+  } catch (e) {
+    console.error("[email] cannot queue", order_id, t.ticket_id, e);
+  }
+}
+if (mailQueue) ticketEvents.on("ticket", ({ order_id, ticket }) => notifyCustomer(order_id, ticket));
+
+// ---------- outbound webhooks
+// Every ticket save (the same writes that hit metafieldsSet) is turned into
+// lifecycle events, each POSTed as JSON to every OUTBOUND_WEBHOOK_URLS entry:
+//   { id, event, occurred_at, order_id, ticket_id, text, ticket, message?, change? }
+// event: ticket.created | ticket.message_added | ticket.status_changed |
+//        ticket.reopened | ticket.closed. `text` is a one-line summary (Slack
+// incoming webhooks post it as is); `ticket` is the record without thread,
+// history or internal notes. Headers:
+//   X-Ticket-Event, X-Ticket-Delivery (job id, stable across retries/replays),
+//   X-Ticket-Timestamp (unix s), X-Ticket-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+// One delivery job per subscriber, retried with backoff; see /admin/webhooks/deliveries.
+const WEBHOOK_EVENTS = ["ticket.created", "ticket.message_added", "ticket.status_changed", "ticket.reopened", "ticket.closed"];
+const OUTBOUND_WEBHOOKS = (() => {
+  const urls = String(process.env.OUTBOUND_WEBHOOK_URLS || "").split(/[\s,]+/).filter(Boolean);
+  if (!urls.length) return null;
+  for (const u of urls) if (!/^https?:\/\//i.test(u)) throw new Error(`OUTBOUND_WEBHOOK_URLS: not an http(s) URL: ${u}`);
+  const secret = process.env.OUTBOUND_WEBHOOK_SECRET || "";
+  if (!secret) throw new Error("OUTBOUND_WEBHOOK_SECRET is required when OUTBOUND_WEBHOOK_URLS is set");
+  const only = String(process.env.OUTBOUND_WEBHOOK_EVENTS || "").split(",").map((e) => e.trim()).filter(Boolean);
+  const unknown = only.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`OUTBOUND_WEBHOOK_EVENTS: unknown ${unknown.join(", ")}`);
+  return { urls, secret, events: only.length ? only : WEBHOOK_EVENTS };
+})();
+
+// saved ticket → [{ event, message?, change? }] for what this save did
+// (same updated_at matching as ticketNotice).
+function ticketWebhookEvents(t) {
+  if (isNewTicket(t)) return [{ event: "ticket.created" }];
+  const out = [];
+  const last = threadOf(t).at(-1);
+  if (last && last.at === t.updated_at) out.push({ event: "ticket.message_added", message: last });
+  const h = Array.isArray(t.history) ? t.history.at(-1) : null;
+  if (h && !h.action && h.at === t.updated_at) {
+    const event = t.reopened_at === t.updated_at ? "ticket.reopened" : isClosed(h.to) ? "ticket.closed" : "ticket.status_changed";
+    out.push({ event, change: h });
+  }
+  return out;
+}
+
+function webhookText(event, rec, { message, change }) {
+  const ref = `Ticket ${rec.ticket_id}${rec.order_name ? ` (${rec.order_name})` : ""}`;
+  const who = (a) => (a?.type === "staff" ? a.name || "staff" : a?.type === "api_key" ? "API" : a?.type || "unknown");
+  switch (event) {
+    case "ticket.created": return `${ref} opened: ${rec.issue || "—"}`;
+    case "ticket.message_added": return `${ref} — ${message.author === "staff" ? `reply from ${message.by || "staff"}` : "customer message"}: ${message.body.slice(0, 300)}`;
+    case "ticket.reopened": return `${ref} reopened by ${who(change.actor)}${change.reason ? `: ${change.reason}` : ""}`;
+    case "ticket.closed": return `${ref} closed by ${who(change.actor)}`;
+    default: return `${ref} ${change.from || "new"} → ${change.to} by ${who(change.actor)}`;
+  }
+}
+
+function signWebhook(body, timestamp, secret) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliverWebhook(job) {
+  const body = JSON.stringify(job.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const r = await fetch(job.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "zuvic-tickets-webhooks/1",
+      "X-Ticket-Event": job.event,
+      "X-Ticket-Delivery": job.id,
+      "X-Ticket-Timestamp": String(timestamp),
+      "X-Ticket-Signature": signWebhook(body, timestamp, OUTBOUND_WEBHOOKS.secret),
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(10_000),
+  });
+  if (r.status < 200 || r.status >= 300) throw new Error(`HTTP ${r.status}`);
+  return { response_status: r.status };
+}
+
+// Delivery log entries: { event, event_id, order_id, ticket_id, url, response_status? } + queue fields
+const webhookQueue = OUTBOUND_WEBHOOKS && createRetryQueue({
+  file: path.resolve(process.env.WEBHOOK_LOG_FILE || path.join(__dirname, "data", "webhook-log.json")),
+  label: "webhooks",
+  maxAttempts: Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8)),
+  keepPayload: true,
+  deliver: deliverWebhook,
+});
+
+function publishTicketEvents(order_id, t) {
+  const base = { order_id: Number(order_id) || order_id, order_name: t.order_name || "" };
+  const { messages, history, notes, ...ticket } = withSla(toRecord(t, t.ticket_id, base));
+  for (const e of ticketWebhookEvents(t)) {
+    if (!OUTBOUND_WEBHOOKS.events.includes(e.event)) continue;
+    const payload = {
+      id: crypto.randomUUID(),
+      event: e.event,
+      occurred_at: t.updated_at,
+      order_id: base.order_id,
+      ticket_id: t.ticket_id,
+      text: webhookText(e.event, ticket, e),
+      ticket,
+      ...(e.message ? { message: e.message } : {}),
+      ...(e.change ? { change: e.change } : {}),
+    };
+    for (const url of OUTBOUND_WEBHOOKS.urls)
+      webhookQueue.enqueue({ event: e.event, event_id: payload.id, order_id: String(order_id), ticket_id: t.ticket_id, url }, payload);
+  }
+}
+if (webhookQueue) ticketEvents.on("ticket", ({ order_id, ticket }) => {
+  try { publishTicketEvents(order_id, ticket); } catch (e) { console.error("[webhooks] cannot queue", order_id, ticket?.ticket_id, e); }
+});
+
+// Delivery log: ?status=queued|sent|failed, ?event=, ?order_id=, ?ticket_id=, ?limit= (≤ 500, default 100)
+app.get("/admin/webhooks/deliveries", requireAdmin, (req, res) => {
+  if (!webhookQueue) return res.json({ ok: true, enabled: false, deliveries: [] });
+  const { status, event, order_id, ticket_id } = req.query;
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+  const deliveries = webhookQueue.list((j) =>
+    (!status || j.status === status) && (!event || j.event === event) &&
+    (!order_id || j.order_id === String(order_id)) && (!ticket_id || j.ticket_id === String(ticket_id))
+  ).slice(0, limit);
+  res.json({ ok: true, enabled: true, deliveries });
+});
+// One delivery, with the payload as sent
+app.get("/admin/webhooks/deliveries/:id", requireAdmin, (req, res) => {
+  const job = webhookQueue?.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "not_found" });
+  res.json({ ok: true, delivery: job });
+});
+// Re-send a sent/failed delivery (same payload and X-Ticket-Delivery, fresh signature)
+app.post("/admin/webhooks/deliveries/:id/replay", requireAdmin, (req, res) => {
+  try {
+    if (!webhookQueue) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, delivery: webhookQueue.replay(req.params.id) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[webhooks] replay", e);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ---------- order context (ticket modal)
+// What the agent needs without opening Shopify admin: line items, financial /
+// fulfillment status with tracking, shipping address and the customer's order
+// count. Cached per order for ORDER_CONTEXT_TTL_SEC; concurrent opens of the
+// same order share one request.
+const ORDER_CONTEXT_TTL_MS = Math.max(0, Number(process.env.ORDER_CONTEXT_TTL_SEC ?? 60)) * 1000;
+const ORDER_CONTEXT_MAX = 500;
+const orderContextCache = new Map(); // order id → { at, promise }, oldest first
+
+const money = (set) => (set?.shopMoney ? { amount: set.shopMoney.amount, currency: set.shopMoney.currencyCode } : null);
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+// received − refunded, in the currency the customer paid (refunds are issued in it)
+function refundableMoney(o) {
+  const received = o.totalReceivedSet?.presentmentMoney;
+  if (!received) return null;
+  const cents = toCents(received.amount) - toCents(o.totalRefundedSet?.presentmentMoney?.amount);
+  return { amount: (Math.max(0, cents) / 100).toFixed(2), currency: received.currencyCode };
+}
+async function fetchOrderContext(orderId) {
+  const d = await adminGraphQL(
+    `query OrderContext($id: ID!) {
+      order(id: $id) {
+        id name createdAt cancelledAt
+        displayFinancialStatus displayFulfillmentStatus
+        currentTotalPriceSet { shopMoney { amount currencyCode } }
+        totalReceivedSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+        totalRefundedSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+        shippingAddress { name address1 address2 city province zip country phone }
+        customer { id displayName email numberOfOrders }
+        lineItems(first: 50) {
+          nodes {
+            id title variantTitle sku quantity currentQuantity
+            image { url(transform: { maxWidth: 96, maxHeight: 96 }) }
+            originalUnitPriceSet { shopMoney { amount currencyCode } }
+          }
+        }
+        fulfillments(first: 10) {
+          status displayStatus createdAt
+          trackingInfo(first: 5) { company number url }
+        }
+      }
+    }`,
+    { id: `gid://shopify/Order/${orderId}` }
+  );
+  const o = d?.order;
+  if (!o) return null;
+  const a = o.shippingAddress;
+  return {
+    id: orderId,
+    name: o.name,
+    created_at: o.createdAt,
+    cancelled_at: o.cancelledAt || null,
+    financial_status: o.displayFinancialStatus || null,
+    fulfillment_status: o.displayFulfillmentStatus || null,
+    total: money(o.currentTotalPriceSet),
+    refunded: money(o.totalRefundedSet),
+    refundable: refundableMoney(o),
+    shipping_address: a ? {
+      name: a.name || "", address1: a.address1 || "", address2: a.address2 || "", city: a.city || "",
+      province: a.province || "", zip: a.zip || "", country: a.country || "", phone: a.phone || "",
+    } : null,
+    customer: o.customer ? {
+      id: o.customer.id.split("/").pop(),
+      name: o.customer.displayName || "",
+      email: o.customer.email || "",
+      orders_count: Number(o.customer.numberOfOrders || 0),
+    } : null,
+    line_items: (o.lineItems?.nodes || []).map((li) => ({
+      id: li.id.split("/").pop(),
+      title: li.title,
+      variant: li.variantTitle || "",
+      sku: li.sku || "",
+      quantity: li.quantity,
+      current_quantity: li.currentQuantity ?? li.quantity, // after removals / refunds
+      image: li.image?.url || null,
+      price: money(li.originalUnitPriceSet),
+    })),
+    fulfillments: (o.fulfillments || []).map((f) => ({
+      status: f.displayStatus || f.status,
+      created_at: f.createdAt,
+      tracking: (f.trackingInfo || []).map((t) => ({ company: t.company || "", number: t.number || "", url: t.url || null })),
+    })),
+    fetched_at: new Date().toISOString(),
+  };
+}
+
+function orderContext(orderId, { refresh = false } = {}) {
+  const key = String(orderId);
+  const hit = orderContextCache.get(key);
+  if (hit && !refresh && Date.now() - hit.at < ORDER_CONTEXT_TTL_MS) return hit.promise;
+  for (const [k, v] of orderContextCache) {
+    if (Date.now() - v.at < ORDER_CONTEXT_TTL_MS && orderContextCache.size < ORDER_CONTEXT_MAX) break;
+    orderContextCache.delete(k);
+  }
+  const promise = fetchOrderContext(key);
+  orderContextCache.delete(key);
+  orderContextCache.set(key, { at: Date.now(), promise });
+  promise.catch(() => { if (orderContextCache.get(key)?.promise === promise) orderContextCache.delete(key); });
+  return promise;
+}
+
+// ======================================================================
+// Admin UI (Branded login + cookie session + panel)
+// ======================================================================
+const UI_SESSION_SECRET =
+  process.env.UI_SESSION_SECRET || ADMIN_UI_KEY || "change-me";
+function sign(s) { return crypto.createHmac("sha256", UI_SESSION_SECRET).update(s).digest("hex"); }
+
+// ---------- staff accounts
+// data/staff.json: { users: { [id]: { id, username, name, role, password, disabled,
+//                                     password_changed_at, created_at, updated_at } } }
+// `password` is "scrypt$<salt>$<hash>" (base64). When the file has no users yet,
+// one admin is seeded from UI_USER / UI_PASS so a fresh deploy can sign in.
+const STAFF_ROLES = ["agent", "supervisor", "admin"];
+const ROLE_RANK = { agent: 1, supervisor: 2, admin: 3 };
+const scryptAsync = promisify(crypto.scrypt);
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+async function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scryptAsync(String(password), Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+// Supervisors manage agents; admins manage everyone.
+function canManageRole(actor, role) {
+  if (!actor) return false;
+  if (actor.role === "admin") return true;
+  return actor.role === "supervisor" && role === "agent";
+}
+function publicStaff(u) {
+  if (!u) return null;
+  const { password, ...rest } = u;
+  return rest;
+}
+function staffActor(u) {
+  return { type: "staff", id: u.id, name: u.username };
+}
+
+function createStaffStore({ file }) {
+  const db = readJsonFile(file, { users: {} });
+  db.users ||= {};
+  const save = createJsonFileWriter(file, { space: 2 });
+  const byUsername = (username) => {
+    const key = String(username || "").trim().toLowerCase();
+    return Object.values(db.users).find((u) => u.username.toLowerCase() === key) || null;
+  };
+
+  return {
+    get: (id) => db.users[id] || null,
+    list: () => Object.values(db.users).sort((a, b) => a.username.localeCompare(b.username)),
+    byUsername,
+
+    // `seeding` skips the password policy for the UI_PASS bootstrap account
+    async create({ username, name, role, password }, { seeding = false } = {}) {
+      const uname = String(username || "").trim();
+      if (!/^[a-zA-Z0-9._@-]{2,64}$/.test(uname)) throw httpError(400, "invalid_username");
+      if (byUsername(uname)) throw httpError(409, "username_taken");
+      if (!STAFF_ROLES.includes(role)) throw httpError(400, "invalid_role");
+      if (!seeding && String(password || "").length < 8)
+        throw httpError(400, "password_too_short");
+      const now = new Date().toISOString();
+      const user = {
+        id: `u_${crypto.randomBytes(6).toString("hex")}`,
+        username: uname,
+        name: String(name || uname).trim().slice(0, 120),
+        role,
+        password: await hashPassword(password),
+        disabled: false,
+        password_changed_at: now,
+        created_at: now,
+        updated_at: now,
+      };
+      db.users[user.id] = user;
+      await save(db);
+      return user;
+    },
+
+    async update(id, patch) {
+      const user = db.users[id];
+      if (!user) throw httpError(404, "not_found");
+      if (patch.role !== undefined && !STAFF_ROLES.includes(patch.role))
+        throw httpError(400, "invalid_role");
+      if (patch.password !== undefined) {
+        if (String(patch.password).length < 8) throw httpError(400, "password_too_short");
+        user.password = await hashPassword(patch.password);
+        user.password_changed_at = new Date().toISOString(); // ends existing sessions
+      }
+      if (patch.role !== undefined) user.role = patch.role;
+      if (patch.name !== undefined) user.name = String(patch.name).trim().slice(0, 120);
+      if (patch.disabled !== undefined) user.disabled = Boolean(patch.disabled);
+      user.updated_at = new Date().toISOString();
+      await save(db);
+      return user;
+    },
+  };
+}
+const staff = createStaffStore({
+  file: path.resolve(process.env.STAFF_FILE || path.join(__dirname, "data", "staff.json")),
 });
+if (!staff.list().length) {
+  await staff.create({
+    username: process.env.UI_USER || "admin",
+    name: process.env.UI_USER || "admin",
+    role: "admin",
+    password: process.env.UI_PASS || "change-me",
+  }, { seeding: true });
+  console.log("[staff] seeded admin account from UI_USER/UI_PASS");
+}
 
-// ======================================================================
-// Admin UI (Branded login + cookie session + panel)
-// ======================================================================
-const UI_USER = process.env.UI_USER || "admin";
-const UI_PASS = process.env.UI_PASS || "change-me";
-const UI_SESSION_SECRET =
-  process.env.UI_SESSION_SECRET || ADMIN_UI_KEY || "change-me";
-function sign(s) { return crypto.createHmac("sha256", UI_SESSION_SECRET).update(s).digest("hex"); }
-function makeToken(hours = 12) {
+// Session token: base64url({ uid, role, pv, exp }).hmac — pv (password version)
+// makes a password reset end every existing session for that user.
+function makeToken(user, hours = 12) {
   const exp = Date.now() + hours * 3600 * 1000;
-  const p = String(exp);
+  const p = Buffer.from(
+    JSON.stringify({ uid: user.id, role: user.role, pv: user.password_changed_at, exp })
+  ).toString("base64url");
   return `${p}.${sign(p)}`;
 }
+// → the signed-in staff user, or null (bad/expired token, disabled or reset account)
 function verifyToken(t){
-  if(!t) return false;
-  const [exp,sig]=String(t).split(".");
-  return (sig===sign(exp)) && (+exp > Date.now());
+  if(!t) return null;
+  const [p,sig]=String(t).split(".");
+  if (!p || !/^[0-9a-f]{64}$/.test(sig || "")) return null; // hex, so timingSafeEqual sees equal byte lengths
+  if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(sign(p)))) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(p, "base64url").toString("utf8")); } catch { return null; }
+  if (!(+claims.exp > Date.now())) return null;
+  const user = staff.get(claims.uid);
+  if (!user || user.disabled || user.password_changed_at !== claims.pv) return null;
+  return user;
 }
 function isSecure(req){
   return (req.headers["x-forwarded-proto"] || req.protocol) === "https";
 }
 
 // Cookie helpers for UI
-function uiCookieValid(req) {
-  const tok = req.cookies?.ui_session;
-  return tok && verifyToken(tok);
+function uiSession(req) {
+  return verifyToken(req.cookies?.ui_session);
 }
 
 // For page routes: redirect to /admin/login if not signed in
 function requireUIPage(req, res, next) {
-  if (uiCookieValid(req)) return next();
+  req.staff = uiSession(req);
+  if (req.staff) return next();
   const nextUrl = encodeURIComponent(req.originalUrl || "/admin/panel");
   return res.redirect(`/admin/login?next=${nextUrl}`);
 }
 
 // For JSON/XHR routes: return JSON 401 if not signed in (no browser popup)
 function requireUIAuth(req, res, next) {
-  if (uiCookieValid(req)) return next();
+  req.staff = uiSession(req);
+  if (req.staff) return next();
   return res.status(401).json({ ok: false, error: "unauthorized" });
 }
 
+// After requireUIAuth/requireUIPage: signed-in user must hold at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ROLE_RANK[req.staff?.role] >= ROLE_RANK[role]) return next();
+    return res.status(403).json({ ok: false, error: "forbidden" });
+  };
+}
+
+const DUMMY_PASSWORD_HASH = await hashPassword(crypto.randomBytes(16).toString("hex"));
+
 // Rate limit login attempts
 const loginLimiter = rateLimit({ windowMs: 5 * 60_000, max: 30 });
 
 // Login page (GET)
 app.get("/admin/login", (req, res) => {
-  if (uiCookieValid(req)) return res.redirect("/admin/panel");
+  if (uiSession(req)) return res.redirect("/admin/panel");
 
   const nonce = crypto.randomBytes(16).toString("base64");
   const err = String(req.query.err || "") === "1";
@@ -582,14 +2809,17 @@ app.get("/admin/login", (req, res) => {
 });
 
 // Login POST: set signed cookie and redirect
-app.post("/admin/login", loginLimiter, express.urlencoded({ extended: false }), (req, res) => {
+app.post("/admin/login", loginLimiter, express.urlencoded({ extended: false }), async (req, res) => {
   const nextPath = String(req.body.next || "/admin/panel");
-  const user = String(req.body.username || "");
+  const username = String(req.body.username || "");
   const pass = String(req.body.password || "");
   const remember = false; // always 12h session
 
-  if (user === UI_USER && pass === UI_PASS) {
-    const token = makeToken(remember ? 72 : 12); // 72h if remembered, else 12h
+  const user = staff.byUsername(username);
+  // hash anyway for unknown users so response time doesn't reveal which usernames exist
+  const valid = await checkPassword(pass, user?.password || DUMMY_PASSWORD_HASH);
+  if (user && valid && !user.disabled) {
+    const token = makeToken(user, remember ? 72 : 12); // 72h if remembered, else 12h
     res.cookie("ui_session", token, {
       httpOnly: true,
       sameSite: "Strict",
@@ -634,16 +2864,18 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
   .topbar{display:flex;align-items:center;justify-content:space-between;margin-bottom:12px}
   .title{font-size:24px;font-weight:700}
   .logout{color:var(--primary)}
+  .who{display:flex;gap:14px;align-items:center}
   .card{background:var(--card);border:1px solid var(--border);border-radius:14px;padding:14px}
 
   .tabs{display:flex;gap:10px;flex-wrap:wrap;margin-bottom:10px}
   .chip{display:inline-flex;align-items:center;gap:6px;padding:8px 12px;border-radius:999px;border:1px solid var(--border);background:#1D4ED8;cursor:pointer;font-size:13px}
   .chip.active{background:var(--primary);border-color:var(--primary);color:#fff}
   .chip .count{opacity:.9}
+  .tabs-sep{width:1px;background:var(--border);margin:0 4px}
 
   .filters{
     display:grid;
-    grid-template-columns: minmax(130px,160px) minmax(140px,180px) minmax(90px,120px) 1fr auto auto;
+    grid-template-columns: minmax(130px,160px) minmax(140px,180px) minmax(90px,120px) minmax(130px,160px) 1fr auto auto auto auto;
     gap:8px;
     margin-bottom:10px;
     align-items:end;
@@ -656,15 +2888,24 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
   button.ghost{background:#fff;color:#111}
 
   .table-wrap{border:1px solid var(--border);border-radius:12px;background:#fff;overflow-x:auto}
+  .more{display:flex;justify-content:center;padding:12px 0}
+  input[type="checkbox"]{width:16px;height:16px;padding:0;cursor:pointer}
+  .bulk{display:flex;gap:8px;align-items:center;flex-wrap:wrap;padding:8px 10px;margin-bottom:10px;border:1px solid #c7d2fe;border-radius:10px;background:#eef2ff;font-size:13px}
+  .bulk input{flex:1;min-width:200px}
+  .bulk button{padding:0 12px;cursor:pointer}
+  .more button{padding:0 16px;cursor:pointer}
   table{width:100%;border-collapse:separate;border-spacing:0;table-layout:fixed}
-  col.order   {width:16%}
-  col.ticket  {width:12%}
-  col.status  {width:12%}
-  col.issue   {width:12%}
-  col.customer{width:12%}
-  col.when    {width:12%}
-  col.when2   {width:12%}
-  col.actions {width:12%}
+  col.pick    {width:3%}
+  col.order   {width:11%}
+  col.ticket  {width:11%}
+  col.status  {width:8%}
+  col.prio    {width:7%}
+  col.sla     {width:9%}
+  col.issue   {width:11%}
+  col.customer{width:9%}
+  col.when    {width:8%}
+  col.when2   {width:8%}
+  col.actions {width:15%}
   thead th{position:sticky;top:0;background:#fafafa;z-index:2}
   th,td{padding:10px 12px;vertical-align:middle;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
   th+th, td+td{border-left:1px solid var(--border)}
@@ -672,6 +2913,17 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
 
   .order small{display:block;color:var(--muted);margin-top:2px}
   .pill{display:inline-block;padding:3px 9px;border-radius:999px;background:var(--pill);color:var(--pillfg);font-size:12px}
+  .prio{display:inline-block;padding:3px 9px;border-radius:999px;font-size:12px;background:#e0e7ff;color:#3730a3}
+  .prio.low{background:#f1f5f9;color:#64748b}
+  .prio.high{background:#ffedd5;color:#9a3412}
+  .prio.urgent{background:#dc2626;color:#fff}
+  .tag{display:inline-block;padding:1px 6px;border-radius:6px;background:#f1f5f9;color:#475569;font-size:11px;margin-left:4px}
+  .sla{display:inline-block;padding:3px 9px;border-radius:999px;font-size:12px;background:#f1f5f9;color:#475569}
+  .sla.ok{background:#dcfce7;color:#166534}
+  .sla.at_risk{background:#fef3c7;color:#92400e}
+  .sla.breached{background:#fee2e2;color:#991b1b}
+  th.sortable{cursor:pointer;user-select:none}
+  th.sortable.on{color:var(--primary)}
 
   td.actions{overflow:visible}
   .actions-cell{
@@ -682,8 +2934,8 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
     flex-wrap:wrap;
   }
   .actions-cell select{
-    min-width:140px;
-    flex:1 1 140px;
+    min-width:110px;
+    flex:1 1 110px;
   }
   .save-btn{
     height:34px;border-radius:8px;background:var(--primary);color:#fff;border:0;padding:0 14px;cursor:pointer;
@@ -716,13 +2968,45 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
   .modal .foot{display:flex;gap:8px;padding:12px 16px;border-top:1px solid var(--border)}
   .modal .btn{height:40px;border-radius:10px;border:0;padding:0 14px;cursor:pointer}
   .modal .primary{background:var(--primary);color:#fff}
+  .modal .span2{grid-column:1 / -1}
+  .thread{display:flex;flex-direction:column;gap:8px;max-height:260px;overflow-y:auto;border:1px solid var(--border);border-radius:10px;padding:10px;background:#fafafa}
+  .msg{max-width:80%;padding:8px 10px;border-radius:10px;border:1px solid var(--border);background:#fff;white-space:pre-wrap;word-break:break-word}
+  .msg.staff{align-self:flex-end;background:var(--pill);border-color:#c7d2fe}
+  .msg .meta{font-size:11px;color:var(--muted);margin-bottom:3px}
+  .history{margin:0;padding:0;list-style:none;border:1px solid var(--border);border-radius:10px;max-height:160px;overflow-y:auto}
+  .history li{padding:7px 10px;font-size:12px}
+  .history li+li{border-top:1px solid var(--border)}
+  .octx{border:1px solid var(--border);border-radius:10px;padding:10px;font-size:13px}
+  .octx .row{display:flex;flex-wrap:wrap;gap:6px 14px;align-items:center;margin-bottom:8px}
+  .octx ul{margin:0 0 8px;padding:0;list-style:none}
+  .octx li{display:flex;gap:8px;align-items:center;padding:4px 0}
+  .octx li+li{border-top:1px solid var(--border)}
+  .octx img{width:36px;height:36px;object-fit:cover;border-radius:6px;border:1px solid var(--border)}
+  .octx .qty{margin-left:auto;white-space:nowrap}
+  .oacts{display:flex;gap:8px;margin-top:8px}
+  .files{display:flex;flex-wrap:wrap;gap:10px}
+  .file{width:120px;border:1px solid var(--border);border-radius:10px;padding:6px;font-size:11px;background:#fafafa}
+  .file .thumb{display:grid;place-items:center;height:80px;border-radius:6px;background:#fff;overflow:hidden;color:var(--muted);font-weight:700;text-decoration:none}
+  .file .thumb img{max-width:100%;max-height:100%;object-fit:cover}
+  .file .fname{margin-top:4px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  .notes .msg{max-width:100%;background:#fffbeb;border-color:#fde68a}
+  .modal textarea.note{background:#fffbeb}
+  .live{font-size:12px;color:var(--muted)}
+  .live.on{color:#16a34a}
+  tr.flash td{animation:flash 2.4s ease-out}
+  @keyframes flash{from{background:#fef9c3}to{background:transparent}}
 </style>
 </head>
 <body>
 <div class="wrap">
   <div class="topbar">
     <div class="title">Support tickets</div>
-    <a class="logout" href="/admin/logout">Logout</a>
+    <div class="who">
+      <span id="live" class="live" title="Live updates">● live</span>
+      <span class="muted">${escHtml(req.staff.name || req.staff.username)} • ${escHtml(req.staff.role)}</span>
+      ${ROLE_RANK[req.staff.role] >= ROLE_RANK.supervisor ? `<a href="/admin/staff">Staff</a>` : ``}
+      <a class="logout" href="/admin/logout">Logout</a>
+    </div>
   </div>
 
   <div class="card">
@@ -731,6 +3015,9 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
       <button class="chip" data-status="pending">Pending <span class="count" id="c_pending">0</span></button>
       <button class="chip" data-status="in_progress">In progress <span class="count" id="c_in_progress">0</span></button>
       <button class="chip" data-status="closed">Closed <span class="count" id="c_closed">0</span></button>
+      <span class="tabs-sep"></span>
+      <button class="chip" data-view="mine">Mine <span class="count" id="c_mine">0</span></button>
+      <button class="chip" data-view="unassigned">Unassigned <span class="count" id="c_unassigned">0</span></button>
     </div>
 
     <div class="filters">
@@ -745,31 +3032,63 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
       <label>Updated since
         <input id="since" type="date"/>
       </label>
-      <label>Limit
+      <label>Page size
         <input id="lim" type="number" min="1" max="1000" value="200"/>
       </label>
-      <label>Search (ticket/order/name/email)
-        <input id="q" placeholder="Type to filter…"/>
+      <label>Sort
+        <select id="sort">
+          <option value="updated_at:desc">Last updated</option>
+          <option value="created_at:desc">Newest first</option>
+          <option value="created_at:asc">Oldest first</option>
+          <option value="order_name:asc">Order</option>
+          <option value="status:asc">Status</option>
+          <option value="priority:desc">Priority</option>
+          <option value="sla:desc">SLA risk</option>
+        </select>
+      </label>
+      <label>Search (ticket/order/customer/phone/issue/message)
+        <input id="q" placeholder="Search all tickets…"/>
       </label>
       <button id="go" class="btn">Refresh</button>
       <button id="clr" class="btn ghost" type="button">Clear</button>
+      <select id="xfmt" title="Export format">
+        <option value="csv">CSV</option>
+        <option value="ndjson">NDJSON</option>
+      </select>
+      <button id="exp" class="btn ghost" type="button" title="Download every ticket matching these filters">Export</button>
+    </div>
+
+    <div id="bulk" class="bulk" style="display:none">
+      <span><b id="bulk_n">0</b> selected</span>
+      <select id="bulk_status" title="Status">
+        <option value="">Status: keep</option>
+        <option value="pending">pending</option>
+        <option value="in_progress">in_progress</option>
+        <option value="closed">closed</option>
+      </select>
+      <select id="bulk_assignee" title="Assignee"></select>
+      <input id="bulk_reply" placeholder="Reply to every selected customer… (optional)"/>
+      <button id="bulk_apply" class="btn" type="button">Apply</button>
+      <button id="bulk_clear" class="ghost" type="button">Clear selection</button>
     </div>
 
     <div class="table-wrap">
       <table id="tbl">
         <colgroup>
-          <col class="order"><col class="ticket"><col class="status"><col class="issue">
+          <col class="pick"><col class="order"><col class="ticket"><col class="status"><col class="prio"><col class="sla"><col class="issue">
           <col class="customer"><col class="when"><col class="when2"><col class="actions">
         </colgroup>
         <thead>
           <tr>
-            <th>Order</th><th>Ticket</th><th>Status</th><th>Issue</th>
+            <th><input type="checkbox" id="pick_all" title="Select all in view"></th>
+            <th>Order</th><th>Ticket</th><th>Status</th><th>Priority</th><th class="sortable" id="sort_sla" title="Sort by SLA risk">SLA ↕</th><th>Issue</th>
             <th>Customer</th><th>Created</th><th>Updated</th><th>Actions</th>
           </tr>
         </thead>
-        <tbody><tr><td colspan="8" class="muted">Loading…</td></tr></tbody>
+        <tbody><tr><td colspan="11" class="muted">Loading…</td></tr></tbody>
       </table>
     </div>
+    <div class="more"><button id="more" class="ghost" type="button" style="display:none">Load more</button></div>
   </div>
 </div>
 
@@ -789,17 +3108,37 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
           <option value="closed">closed</option>
         </select>
       </label>
+      <label>Assignee
+        <select id="m_assignee"></select>
+      </label>
+      <label>Priority
+        <select id="m_priority"></select>
+      </label>
+      <label>Category
+        <select id="m_category"></select>
+      </label>
       <label>Issue   <input id="m_issue"  readonly></label>
+      <label>Tags    <input id="m_tags" placeholder="comma separated, e.g. vip, repeat"></label>
       <label>Name    <input id="m_name"   readonly></label>
       <label>Email   <input id="m_email"  readonly></label>
       <label>Phone   <input id="m_phone"  readonly></label>
-      <label>Message <textarea id="m_message" readonly></textarea></label>
-      <label>Reply customer <textarea id="m_reply" placeholder="Type your reply to customer… (optional)"></textarea></label>
+      <div class="span2"><label>Order</label><div id="m_order_ctx" class="octx"></div>
+        <div id="m_order_actions" class="oacts" hidden>${ORDER_ACTIONS.filter((a) => canOrderAction(req.staff, a)).map((a) =>
+          `<button class="btn oact" data-action="${a}">${{ refund: "Refund…", cancel: "Cancel order…", return: "Create return…" }[a]}</button>`).join("")}</div>
+      </div>
+      <div class="span2"><label>Conversation</label><div id="m_thread" class="thread"></div></div>
+      <div class="span2"><label>Attachments</label><div id="m_files" class="files"></div></div>
+      <div class="span2"><label>Status history</label><ul id="m_history" class="history"></ul></div>
+      <div class="span2"><label>Customer emails</label><ul id="m_emails" class="history"></ul></div>
+      <label class="span2">Reply customer <textarea id="m_reply" placeholder="Type your reply to customer… (optional)"></textarea></label>
+      <div class="span2"><label>Internal notes (staff only)</label><div id="m_notes" class="thread notes"></div></div>
+      <label class="span2">Internal note <textarea id="m_note" class="note" placeholder="Visible to staff only — never sent to the customer (optional)"></textarea></label>
       <label>Created <input id="m_created" readonly></label>
       <label>Updated <input id="m_updated" readonly></label>
     </div>
     <div class="foot">
       <button id="msave" class="btn primary">Save</button>
+      ${ROLE_RANK[req.staff.role] >= ROLE_RANK.supervisor ? `<button id="mreopen" class="btn" hidden>Reopen…</button>` : ``}
       <button id="mclose" class="btn">Close</button>
     </div>
   </div>
@@ -814,38 +3153,234 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
   const esc = (v)=> String(v ?? "").replace(/[&<>"']/g, ch => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
   const fmt = (d)=> d ? new Date(d).toLocaleString() : "—";
   const pill = (s)=> '<span class="pill">'+esc(String(s||"").replace(/_/g," "))+'</span>';
+  const prio = (p)=> '<span class="prio '+esc(p||"normal")+'">'+esc(p||"normal")+'</span>';
   const show = (msg)=>{ const t=$("#toast"); t.textContent=msg; t.classList.add("show"); setTimeout(()=>t.classList.remove("show"), 1100); };
 
   let currentStatus = "all";
+  let currentView   = "all";   // all | mine | unassigned
   let cacheTickets  = [];
+  let staffList     = [];
+  let me            = null;
 
+  function assigneeOptions(selected){
+    const opts = ['<option value="">Unassigned</option>'];
+    staffList.forEach(u => {
+      if (u.disabled && u.id !== selected) return;
+      opts.push('<option value="'+esc(u.id)+'"'+(u.id===selected?' selected':'')+'>'+esc(u.name || u.username)+(me && u.id===me.id ? ' (me)' : '')+'</option>');
+    });
+    return opts.join("");
+  }
+
+  // counts of what's loaded ("+" while more pages remain); a view's list comes
+  // from the server already narrowed, so the other view keeps its last count
   function counts(list){
+    const more = nextCursor ? "+" : "";
     const c = { all:list.length, pending:0, in_progress:0, closed:0 };
     list.forEach(t => { const s=(t.status||"pending").toLowerCase(); if (c[s]!=null) c[s]++; });
-    $("#c_all").textContent=c.all; $("#c_pending").textContent=c.pending; $("#c_in_progress").textContent=c.in_progress; $("#c_closed").textContent=c.closed;
+    $("#c_all").textContent=c.all+more; $("#c_pending").textContent=c.pending+more; $("#c_in_progress").textContent=c.in_progress+more; $("#c_closed").textContent=c.closed+more;
+    if (currentView!=="unassigned") $("#c_mine").textContent = (me ? list.filter(t => t.assignee===me.id).length : 0)+more;
+    if (currentView!=="mine") $("#c_unassigned").textContent = list.filter(t => !t.assignee).length+more;
+  }
+
+  function thread(t){
+    const list = Array.isArray(t.messages) ? t.messages : [];
+    if (!list.length) return '<div class="muted">No messages yet</div>';
+    return list.map(m => {
+      const who = m.author==="staff" ? "Staff" + (m.by ? " ("+m.by+")" : "") : "Customer";
+      return '<div class="msg '+(m.author==="staff"?"staff":"customer")+'"><div class="meta">'+esc(who)+' • '+esc(fmt(m.at))+'</div>'+esc(m.body)+'</div>';
+    }).join("");
+  }
+
+  function notes(t){
+    const list = Array.isArray(t.notes) ? t.notes : [];
+    if (!list.length) return '<div class="muted">No internal notes</div>';
+    return list.map(n =>
+      '<div class="msg"><div class="meta">'+esc(actorLabel(n.by))+' • '+esc(fmt(n.at))+'</div>'+esc(n.body)+'</div>'
+    ).join("");
+  }
+
+  function actorLabel(a){
+    if (!a || !a.type) return "unknown";
+    if (a.type==="customer") return "Customer" + (a.id ? " #"+a.id : "");
+    if (a.type==="api_key") return "API key";
+    if (a.type==="system") return "System";
+    return "Staff" + ((a.name || a.id) ? " ("+(a.name || a.id)+")" : "");
+  }
+
+  function history(t){
+    const list = Array.isArray(t.history) ? t.history : [];
+    if (!list.length) return '<li class="muted">No status changes recorded</li>';
+    return list.slice().reverse().map(h => h.action ? actionEntry(h) :
+      '<li>'+esc(fmt(h.at))+' — '+(h.from ? pill(h.from)+' → ' : '')+pill(h.to)+' <span class="muted">by '+esc(actorLabel(h.actor))+'</span>'+(h.reason ? ' <span class="muted">— “'+esc(h.reason)+'”</span>' : '')+'</li>'
+    ).join("");
+  }
+
+  const amount = (m)=> m ? esc(m.amount+" "+m.currency) : "—";
+  let currentOrder = null;
+  // Only the buttons this role may use are rendered; hide the ones the order's state rules out.
+  function orderActions(t){
+    const box = $("#m_order_actions"), o = currentOrder;
+    const locked = String(t.status||"").toLowerCase()==="closed";
+    const can = {
+      refund: o && o.refundable && Number(o.refundable.amount) > 0,
+      cancel: o && !o.cancelled_at && o.fulfillment_status==="UNFULFILLED",
+      return: o && o.fulfillments.length > 0,
+    };
+    box.querySelectorAll(".oact").forEach(b => { b.hidden = !can[b.dataset.action]; b.disabled = false; });
+    box.hidden = locked || !o || ![...box.querySelectorAll(".oact")].some(b => !b.hidden);
+  }
+  $("#m_order_actions").querySelectorAll(".oact").forEach(b => b.onclick = async ()=>{
+    const t = cacheTickets.find(x => String(x.ticket_id)===String($("#m_tid").value)), o = currentOrder;
+    if (!t || !o) return;
+    const body = { order_id: t.order_id, ticket_id: t.ticket_id, action: b.dataset.action, version: t.version || 0, confirm: true };
+    if (b.dataset.action==="refund") {
+      const max = o.refundable.amount, cur = o.refundable.currency;
+      const amt = (prompt("Refund amount in "+cur+" (up to "+max+" — leave as is for a full refund):", max) || "").trim();
+      if (!amt) return;
+      if (!confirm("Refund "+amt+" "+cur+" on order "+o.name+"?\\n\\nThis is sent to Shopify straight away and cannot be undone here.")) return;
+      if (amt !== max) body.amount = amt;
+    } else if (b.dataset.action==="cancel") {
+      if (!confirm("Cancel order "+o.name+"?\\n\\nThe payment is refunded and the items restocked in Shopify.")) return;
+    } else if (!confirm("Create a return in Shopify for every fulfilled item on order "+o.name+"?")) return;
+
+    b.disabled = true;
+    const r = await fetch("/admin/ui/order-actions", { method:"POST", headers:{"Content-Type":"application/json"}, credentials:"include", body: JSON.stringify(body) });
+    const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
+    b.disabled = false;
+    if (j.ticket) { upsert(j.ticket); $("#m_history").innerHTML = history(j.ticket); }
+    if (!j.ok) {
+      alert(j.error==="conflict" ? "This ticket was changed meanwhile — reopen it and try again."
+        : j.error==="order_action_in_progress" ? "Another order action on this ticket is still running — wait for it to finish."
+        : "Order action failed: " + (j.detail || j.error || "unexpected"));
+      return;
+    }
+    show("Done in Shopify");
+    loadOrder(j.ticket || t, { refresh: true });
+  });
+  const httpUrl = (u)=> /^https?:\\/\\//i.test(String(u||"")) ? u : null;
+  async function loadOrder(t, { refresh = false } = {}){
+    const el = $("#m_order_ctx");
+    el.innerHTML = '<span class="muted">Loading order…</span>';
+    $("#m_order_actions").hidden = true;
+    const r = await fetch("/admin/ui/orders/"+encodeURIComponent(t.order_id)+"/context"+(refresh ? "?refresh=1" : ""), { credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false}));
+    if ($("#m_tid").value !== String(t.ticket_id)) return; // another ticket opened meanwhile
+    currentOrder = j.ok ? j.order : null;
+    orderActions(t);
+    if (!j.ok) {
+      el.innerHTML = '<span class="muted">'+(j.error==="shopify_not_configured" ? "Order details need the Shopify connection" : j.error==="order_not_found" ? "Order not found in Shopify" : "Could not load order details")+'</span>';
+      return;
+    }
+    const o = j.order, a = o.shipping_address, c = o.customer;
+    const items = o.line_items.map(li =>
+      '<li>'+(httpUrl(li.image) ? '<img src="'+esc(li.image)+'" alt="">' : '')+
+      '<span>'+esc(li.title)+(li.variant ? ' <span class="muted">— '+esc(li.variant)+'</span>' : '')+(li.sku ? ' <span class="muted">('+esc(li.sku)+')</span>' : '')+'</span>'+
+      '<span class="qty">'+(li.current_quantity !== li.quantity ? '<s class="muted">'+li.quantity+'</s> '+li.current_quantity : li.quantity)+' × '+amount(li.price)+'</span></li>'
+    ).join("");
+    const tracking = o.fulfillments.map(f =>
+      '<li>'+pill(f.status)+' <span class="muted">'+esc(fmt(f.created_at))+'</span> '+
+      (f.tracking.map(x => esc(x.company)+' '+(httpUrl(x.url) ? '<a href="'+esc(x.url)+'" target="_blank" rel="noopener">'+esc(x.number || "track")+'</a>' : esc(x.number))).join(", ") || '<span class="muted">no tracking</span>')+'</li>'
+    ).join("");
+    el.innerHTML =
+      '<div class="row">'+pill(o.financial_status || "unknown")+pill(o.fulfillment_status || "unfulfilled")+
+        (o.cancelled_at ? '<span class="pill">cancelled</span>' : '')+'<b>'+amount(o.total)+'</b>'+
+        (c ? '<span>'+esc(c.name || c.email)+' <span class="muted">• '+c.orders_count+' order'+(c.orders_count===1?'':'s')+'</span></span>' : '<span class="muted">Guest checkout</span>')+'</div>'+
+      '<ul>'+(items || '<li class="muted">No line items</li>')+'</ul>'+
+      (tracking ? '<ul>'+tracking+'</ul>' : '')+
+      '<div class="muted">'+(a ? esc([a.name, a.address1, a.address2, [a.zip, a.city].filter(Boolean).join(" "), a.province, a.country].filter(Boolean).join(", ")) : "No shipping address")+'</div>';
+  }
+
+  async function loadEmails(t){
+    const el = $("#m_emails");
+    el.innerHTML = '<li class="muted">Loading…</li>';
+    const r = await fetch("/admin/ui/tickets/"+encodeURIComponent(t.order_id)+"/"+encodeURIComponent(t.ticket_id)+"/emails", { credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false}));
+    if ($("#m_tid").value !== String(t.ticket_id)) return; // another ticket opened meanwhile
+    if (!j.ok) { el.innerHTML = '<li class="muted">Could not load the delivery log</li>'; return; }
+    if (!j.enabled) { el.innerHTML = '<li class="muted">Email notifications are off</li>'; return; }
+    if (!j.emails.length) { el.innerHTML = '<li class="muted">No emails sent</li>'; return; }
+    el.innerHTML = j.emails.map(m =>
+      '<li>'+esc(fmt(m.sent_at || m.created_at))+' — '+pill(m.status)+' '+esc(m.kind)+' to '+esc(m.to || "—")+
+      ' <span class="muted">'+esc(m.subject)+(m.attempts > 1 ? ' • '+m.attempts+' attempts' : '')+(m.error ? ' • '+esc(m.error) : '')+'</span></li>'
+    ).join("");
+  }
+
+  // order action outcome recorded in the history (see /admin/ui/order-actions)
+  function actionEntry(h){
+    const a = h.action, label = { refund:"Refund", cancel:"Order cancelled", return:"Return" }[a.type] || a.type;
+    if (a.pending) return '<li>'+esc(fmt(h.at))+' — … '+esc(label)+' <span class="muted">in progress • by '+esc(actorLabel(h.actor))+'</span></li>';
+    const what = !a.ok ? "failed: "+a.error
+      : a.type==="refund" ? (a.full ? "full " : "")+a.amount+" "+a.currency+(a.payments > 1 ? " across "+a.payments+" payments" : "")
+      : a.type==="return" ? (a.name || "")+" • "+a.items+" item"+(a.items===1?"":"s")
+      : (a.refund ? "refunded" : "not refunded")+", "+(a.restock ? "restocked" : "not restocked");
+    return '<li>'+esc(fmt(h.at))+' — '+(a.ok ? '✓ ' : '✗ ')+esc(label)+' <span class="muted">'+esc(what)+' • by '+esc(actorLabel(h.actor))+'</span></li>';
+  }
+
+  function size(n){
+    return n >= 1048576 ? (n/1048576).toFixed(1)+" MB" : Math.max(1, Math.round(n/1024))+" KB";
+  }
+  function files(t){
+    const list = Array.isArray(t.attachments) ? t.attachments : [];
+    if (!list.length) return '<div class="muted">No attachments</div>';
+    return list.map(a => {
+      const url = "/admin/ui/attachments/"+encodeURIComponent(t.order_id)+"/"+encodeURIComponent(t.ticket_id)+"/"+encodeURIComponent(a.id);
+      const isImg = String(a.content_type||"").startsWith("image/");
+      const thumb = isImg
+        ? '<a class="thumb" href="'+url+'" target="_blank" rel="noopener"><img src="'+url+'" alt="'+esc(a.filename)+'" loading="lazy"></a>'
+        : '<a class="thumb" href="'+url+'">PDF</a>';
+      return '<div class="file">'+thumb
+        +'<div class="fname" title="'+esc(a.filename)+'">'+esc(a.filename)+'</div>'
+        +'<div class="muted">'+size(a.size||0)+' • <a href="'+url+'?download=1">Download</a></div></div>';
+    }).join("");
+  }
+
+  const flashed = new Set(); // ticket ids to highlight on the next render
+  const selected = new Set(); // ticket ids ticked for bulk actions
+
+  function dur(ms){
+    const h = Math.abs(ms) / 3600000;
+    return h >= 48 ? Math.round(h/24)+"d" : h >= 1 ? Math.round(h)+"h" : Math.max(1, Math.round(h*60))+"m";
+  }
+  function slaBadge(t){
+    const s = t.sla;
+    if (!s) return '<span class="muted">—</span>';
+    const label = s.status==="at_risk" ? "at risk" : s.status;
+    let when = "";
+    if (s.due_at) {
+      const left = Date.parse(s.due_at) - Date.now();
+      when = left >= 0 ? " · "+dur(left)+" left" : " · "+dur(left)+" over";
+    }
+    const tip = "First response: "+s.first_response.status+" ("+s.first_response.target_hours+"h)  •  Resolution: "+s.resolution.status+" ("+s.resolution.target_hours+"h)";
+    return '<span class="sla '+esc(s.status)+'" title="'+esc(tip)+'">'+esc(label+when)+'</span>';
   }
 
   function orderCell(t){
     const id = t.order_id ? String(t.order_id) : "—";
     const name = t.order_name ? String(t.order_name) : "—";
-    return '<div class="order"><div>'+esc(name)+'</div><small>ID: '+esc(id)+'</small></div>';
+    const cancelled = t.order_cancelled_at ? ' • cancelled' : '';
+    return '<div class="order"><div>'+esc(name)+'</div><small>ID: '+esc(id)+esc(cancelled)+'</small></div>';
   }
 
   function row(t){
     const locked = String(t.status||"").toLowerCase()==="closed";
     const order = orderCell(t);
-    const ticketLink = '<a href="#" class="ticket-link" data-tid="'+esc(t.ticket_id)+'">'+esc(t.ticket_id)+'</a>';
-    const lockAttr = locked ? 'disabled title="Locked — customer can reopen from their account/ticket page"' : '';
+    const clips = (t.attachments||[]).length ? ' <span class="muted" title="Attachments">📎'+t.attachments.length+'</span>' : '';
+    const ticketLink = '<a href="#" class="ticket-link" data-tid="'+esc(t.ticket_id)+'">'+esc(t.ticket_id)+'</a>'+clips;
+    const lockAttr = locked ? 'disabled title="Locked — the customer or a supervisor can reopen it"' : '';
     return \`<tr data-row="\${esc(t.ticket_id)}">
+      <td><input type="checkbox" class="pick" data-tid="\${esc(t.ticket_id)}" \${selected.has(String(t.ticket_id))?"checked":""}></td>
       <td>\${order}</td>
       <td>\${ticketLink}</td>
-      <td>\${pill(t.status)}</td>
-      <td>\${esc(t.issue || "—")}</td>
+      <td>\${pill(t.status)}\${t.auto_close_at ? ' <span class="muted" title="Auto-closes '+esc(fmt(t.auto_close_at))+' unless the customer replies">⏱</span>' : ""}</td>
+      <td>\${prio(t.priority)}</td>
+      <td>\${slaBadge(t)}</td>
+      <td title="\${esc((t.tags||[]).join(", "))}">\${esc(t.issue || "—")}\${(t.tags||[]).map(x=>'<span class="tag">'+esc(x)+'</span>').join("")}</td>
       <td>\${esc(t.name || "—")}</td>
       <td>\${fmt(t.created_at)}</td>
       <td>\${fmt(t.updated_at)}</td>
       <td class="actions">
         <div class="actions-cell">
+          <select class="asg" title="Assignee" \${lockAttr}>\${assigneeOptions(t.assignee || "")}</select>
           <select class="set" \${lockAttr}>
             <option value="pending" \${t.status==="pending"?"selected":""}>pending</option>
             <option value="in_progress" \${t.status==="in_progress"?"selected":""}>in_progress</option>
@@ -857,36 +3392,41 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
     </tr>\`;
   }
 
+  // search (#q) and views run server-side in load(); status tabs narrow what's
+  // loaded, and the view checks drop live updates that no longer match
   function applyFilter(list){
-    const q = ($("#q").value||"").toLowerCase();
     return list.filter(t => {
       const byStatus = currentStatus==="all" ? true : (String(t.status).toLowerCase()===currentStatus);
       if (!byStatus) return false;
-      if (!q) return true;
-      return [t.ticket_id,t.order_name,t.name,t.email].filter(Boolean).some(x=>String(x).toLowerCase().includes(q));
+      if (currentView==="mine" && (!me || t.assignee!==me.id)) return false;
+      if (currentView==="unassigned" && t.assignee) return false;
+      return true;
     });
   }
 
   function render(list){
     counts(list);
-    const rows = applyFilter(list).map(row).join("") || '<tr><td colspan="8" class="muted">No tickets</td></tr>';
+    const shown = applyFilter(list);
+    const rows = shown.map(row).join("") || '<tr><td colspan="11" class="muted">No tickets</td></tr>';
     $("#tbl tbody").innerHTML = rows;
+    syncBulk(shown);
+    if (flashed.size) {
+      $$("#tbl tbody tr[data-row]").forEach(tr=>{ if (flashed.has(tr.dataset.row)) tr.classList.add("flash"); });
+      flashed.clear();
+    }
 
     $("#tbl").querySelectorAll(".save").forEach(btn=>{
       btn.onclick = async ()=>{
         if (btn.hasAttribute("disabled")) {
-          return alert("This ticket is closed and locked. Only the customer can reopen.");
+          return alert("This ticket is closed and locked. Only the customer or a supervisor can reopen it.");
         }
         const tr = btn.closest("tr");
         const status = tr.querySelector(".set").value;
-        const body = { order_id: btn.dataset.oid, ticket_id: btn.dataset.tid, status };
-        const r = await fetch("/admin/ui/update", { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(body), credentials:"include" });
-        if (r.status === 423) { alert("This ticket is closed and locked. Only the customer can reopen."); return; }
-        const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
-        if(!j.ok){ alert("Update failed: " + (j.error||"unexpected")); return; }
-        const idx = cacheTickets.findIndex(x => String(x.ticket_id)===String(j.ticket.ticket_id));
-        if(idx>=0) cacheTickets[idx] = { ...cacheTickets[idx], ...j.ticket };
-        else cacheTickets.push(j.ticket);
+        const assignee = tr.querySelector(".asg").value;
+        const t = cacheTickets.find(x => String(x.ticket_id)===String(btn.dataset.tid));
+        const body = { order_id: btn.dataset.oid, ticket_id: btn.dataset.tid, status, assignee, version: t ? (t.version||0) : undefined };
+        const j = await postUpdate(body);
+        if (!j) return;
         show("Updated");
         render(cacheTickets);
       };
@@ -901,19 +3441,36 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
         $("#m_tid").value = t.ticket_id || "";
         $("#m_order").value = (t.order_name || "") + (t.order_id ? "  (ID: "+t.order_id+")" : "");
         $("#m_status").value = t.status || "pending";
+        $("#m_assignee").innerHTML = assigneeOptions(t.assignee || "");
+        $("#m_priority").innerHTML = priorities.map(p => '<option value="'+p+'"'+(p===(t.priority||"normal")?' selected':'')+'>'+p+'</option>').join("");
+        $("#m_category").innerHTML = categoryOptions(t.category || "");
         $("#m_issue").value  = t.issue || "";
+        $("#m_tags").value   = (t.tags || []).join(", ");
         $("#m_name").value   = t.name || "";
         $("#m_email").value  = t.email || "";
         $("#m_phone").value  = t.phone || "";
-        $("#m_message").value= t.message || "";
-        $("#m_reply").value  = t.admin_reply || "";
+        $("#m_thread").innerHTML = thread(t);
+        $("#m_thread").scrollTop = $("#m_thread").scrollHeight;
+        $("#m_history").innerHTML = history(t);
+        loadEmails(t);
+        loadOrder(t);
+        $("#m_files").innerHTML = files(t);
+        $("#m_reply").value  = "";
+        $("#m_notes").innerHTML = notes(t);
+        $("#m_note").value   = "";
         $("#m_created").value= fmt(t.created_at);
         $("#m_updated").value= fmt(t.updated_at);
 
         const locked = String(t.status||"").toLowerCase()==="closed";
         $("#m_status").disabled  = locked;
+        $("#m_assignee").disabled = locked;
+        $("#m_priority").disabled = locked;
+        $("#m_category").disabled = locked;
+        $("#m_tags").disabled    = locked;
         $("#m_reply").disabled   = locked;
+        $("#m_note").disabled    = locked;
         $("#msave").disabled     = locked;
+        if ($("#mreopen")) $("#mreopen").hidden = !locked;
 
         $("#overlay").classList.add("show");
         document.body.classList.add("modal-open");
@@ -921,29 +3478,134 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
     });
   }
 
-  async function load(){
+  function upsert(ticket){
+    const idx = cacheTickets.findIndex(x => String(x.ticket_id)===String(ticket.ticket_id));
+    if(idx>=0) cacheTickets[idx] = { ...cacheTickets[idx], ...ticket };
+    else cacheTickets.push(ticket);
+  }
+
+  // POST /admin/ui/update; on 409 the ticket changed under us — offer to
+  // re-apply this edit on top of the latest version (merge) or drop it (reload).
+  async function postUpdate(body){
+    const r = await fetch("/admin/ui/update", { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(body), credentials:"include" });
+    if (r.status === 423) { alert("This ticket is closed and locked. Only the customer or a supervisor can reopen it."); return null; }
+    const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
+    if (r.status === 409 && j.error === "conflict") {
+      if (j.ticket) upsert(j.ticket);
+      const latest = j.ticket || {};
+      if (String(latest.status||"").toLowerCase()==="closed") {
+        alert("Someone else closed this ticket meanwhile. It is now locked.");
+        render(cacheTickets);
+        return null;
+      }
+      const merge = confirm("This ticket was changed by someone else since you loaded it.\\n\\nOK — merge: apply your change on top of the latest version.\\nCancel — reload: discard your change and show the latest.");
+      if (!merge) { render(cacheTickets); show("Reloaded latest"); return null; }
+      return postUpdate({ ...body, version: latest.version || 0 });
+    }
+    if(!j.ok){ alert("Update failed: " + (j.error||"unexpected")); return null; }
+    upsert(j.ticket);
+    return j;
+  }
+
+  // Supervisors+ only (the button isn't rendered for agents; the server checks the role too)
+  if ($("#mreopen")) $("#mreopen").onclick = async ()=>{
+    const t = cacheTickets.find(x => String(x.ticket_id)===String($("#m_tid").value));
+    if(!t) return;
+    const reason = (prompt("Reopen "+t.ticket_id+" — reason (required, recorded on the ticket):") || "").trim();
+    if (!reason) return;
+    const r = await fetch("/admin/ui/reopen", { method:"POST", headers:{"Content-Type":"application/json"}, credentials:"include",
+      body: JSON.stringify({ order_id: t.order_id, ticket_id: t.ticket_id, reason, version: t.version || 0 }) });
+    const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
+    if (j.ticket) upsert(j.ticket);
+    if (!j.ok) { alert(j.error==="conflict" ? "This ticket was changed meanwhile — reload and try again." : "Reopen failed: " + (j.error||"unexpected")); render(cacheTickets); return; }
+    closeModal();
+    show("Reopened");
+    render(cacheTickets);
+  };
+
+  let categories = [], priorities = ["low","normal","high","urgent"];
+  async function loadCategories(){
+    const r = await fetch("/admin/ui/categories", { credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false}));
+    if (Array.isArray(j?.categories)) categories = j.categories;
+    if (Array.isArray(j?.priorities)) priorities = j.priorities;
+  }
+  function categoryOptions(selected){
+    const opts = ['<option value="">—</option>'].concat(categories.map(c =>
+      '<option value="'+esc(c.id)+'"'+(c.id===selected?' selected':'')+'>'+esc(c.label)+'</option>'));
+    // keep a category that has since left the config visible (not re-sent unless changed)
+    if (selected && !categories.some(c => c.id===selected)) opts.push('<option value="'+esc(selected)+'" selected>'+esc(selected)+'</option>');
+    return opts.join("");
+  }
+
+  async function loadStaff(){
+    const r = await fetch("/admin/ui/staff", { credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false}));
+    staffList = Array.isArray(j?.staff) ? j.staff : [];
+    me = j?.me || null;
+  }
+
+  let nextCursor = null;
+  // more=true appends the next page (next_cursor) instead of starting over
+  async function load(more){
+    const [sort, order] = ($("#sort").value || "updated_at:desc").split(":");
+    $("#sort_sla").classList.toggle("on", sort==="sla");
     const qs = new URLSearchParams({
       status: $("#st").value || "all",
       since:  $("#since").value || "",
-      limit:  $("#lim").value  || 200
+      limit:  $("#lim").value  || 200,
+      q:      ($("#q").value || "").trim(),
+      sort, order
     });
+    if (currentView==="mine") qs.set("assignee", "me");
+    if (currentView==="unassigned") qs.set("assignee", "none");
+    if (more && nextCursor) qs.set("cursor", nextCursor);
     const r = await fetch("/admin/ui/tickets?"+qs.toString(), { credentials:"include" });
     const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
-    cacheTickets = Array.isArray(j?.tickets) ? j.tickets : [];
+    if (!j.ok && more) return show("Load failed: " + (j.error||"unexpected"));
+    const page = Array.isArray(j?.tickets) ? j.tickets : [];
+    cacheTickets = more ? cacheTickets.concat(page) : page;
+    nextCursor = j?.next_cursor || null;
+    $("#more").style.display = nextCursor ? "" : "none";
     render(cacheTickets);
   }
 
+  function setView(v){
+    currentView = v;
+    $$("#tabs .chip[data-view]").forEach(x=>x.classList.toggle("active", x.dataset.view===currentView));
+  }
   $("#tabs").addEventListener("click",(e)=>{
     const b = e.target.closest(".chip"); if(!b) return;
+    if (b.dataset.view) {
+      setView(currentView===b.dataset.view ? "all" : b.dataset.view); // click again to clear
+      return load();
+    }
     currentStatus = b.dataset.status;
-    $$("#tabs .chip").forEach(x=>x.classList.toggle("active", x===b));
+    $$("#tabs .chip[data-status]").forEach(x=>x.classList.toggle("active", x===b));
     $("#st").value = currentStatus;
     render(cacheTickets);
   });
-  $("#st").onchange = ()=>{ currentStatus=$("#st").value; $$("#tabs .chip").forEach(x=>x.classList.toggle("active", x.dataset.status===currentStatus)); render(cacheTickets); };
-  $("#q").oninput = ()=> render(cacheTickets);
-  $("#go").onclick  = load;
-  $("#clr").onclick = ()=>{ $("#st").value="all"; $("#since").value=""; $("#lim").value=200; $("#q").value=""; currentStatus="all"; $$("#tabs .chip").forEach(x=>x.classList.toggle("active", x.dataset.status==="all")); load(); };
+  $("#st").onchange = ()=>{ currentStatus=$("#st").value; $$("#tabs .chip[data-status]").forEach(x=>x.classList.toggle("active", x.dataset.status===currentStatus)); render(cacheTickets); };
+  let searchTimer = null;
+  $("#q").oninput = ()=>{ clearTimeout(searchTimer); searchTimer = setTimeout(()=>load(), 300); };
+  $("#sort").onchange = ()=> load();
+  $("#more").onclick = ()=> load(true);
+  // downloads everything matching the filters, not just the loaded pages
+  $("#exp").onclick = ()=>{
+    const qs = new URLSearchParams({
+      status: $("#st").value || "all",
+      since:  $("#since").value || "",
+      q:      ($("#q").value || "").trim(),
+      format: $("#xfmt").value || "csv"
+    });
+    if (currentView==="mine") qs.set("assignee", "me");
+    if (currentView==="unassigned") qs.set("assignee", "none");
+    location.href = "/admin/ui/tickets/export?" + qs.toString();
+  };
+  // worst SLA first (server-side, so it spans every page), or back to the default
+  $("#sort_sla").onclick = ()=>{ $("#sort").value = $("#sort").value==="sla:desc" ? "updated_at:desc" : "sla:desc"; load(); };
+  $("#go").onclick  = ()=> load();
+  $("#clr").onclick = ()=>{ $("#st").value="all"; $("#since").value=""; $("#lim").value=200; $("#q").value=""; $("#sort").value="updated_at:desc"; currentStatus="all"; setView("all"); $$("#tabs .chip[data-status]").forEach(x=>x.classList.toggle("active", x.dataset.status==="all")); load(); };
 
   const closeModal = ()=> { $("#overlay").classList.remove("show"); document.body.classList.remove("modal-open"); };
   $("#mclose").onclick = closeModal;
@@ -952,7 +3614,7 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
 
   $("#msave").onclick = async ()=>{
     if ($("#msave").disabled) {
-      return alert("This ticket is closed and locked. Only the customer can reopen.");
+      return alert("This ticket is closed and locked. Only the customer or a supervisor can reopen it.");
     }
     const tid = $("#m_tid").value;
     const t   = cacheTickets.find(x => String(x.ticket_id)===String(tid));
@@ -961,24 +3623,114 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
       order_id: t.order_id,
       ticket_id: t.ticket_id,
       status: $("#m_status").value,
-      reply:  $("#m_reply").value
+      reply:  $("#m_reply").value,
+      note:   $("#m_note").value,
+      assignee: $("#m_assignee").value,
+      version: t.version || 0
     };
+    // only send what changed, so a stale config or untouched field never clobbers
+    const priority = $("#m_priority").value, category = $("#m_category").value;
+    const tags = $("#m_tags").value.split(",").map(x=>x.trim()).filter(Boolean);
+    if (priority !== (t.priority || "normal")) body.priority = priority;
+    if (category !== (t.category || "")) body.category = category || null;
+    if (tags.join(",") !== (t.tags || []).join(",")) body.tags = tags;
     if (String(body.status).toLowerCase()==="closed") {
       // saving a closed ticket is a no-op — block via server too
       // (client guard helps UX)
     }
-    const r = await fetch("/admin/ui/update", { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(body), credentials:"include" });
-    if (r.status === 423) { alert("This ticket is closed and locked. Only the customer can reopen."); return; }
-    const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
-    if(!j.ok){ alert("Update failed: " + (j.error||"unexpected")); return; }
-    const idx = cacheTickets.findIndex(x => String(x.ticket_id)===String(j.ticket.ticket_id));
-    if(idx>=0) cacheTickets[idx] = { ...cacheTickets[idx], ...j.ticket };
+    const j = await postUpdate(body);
+    if (!j) return;
     closeModal();
     show("Updated");
     render(cacheTickets);
   };
 
-  load();
+  // Live updates (SSE): patch cacheTickets in place and flash the changed row.
+  // Events no newer than what we hold are dropped (our own saves echo back).
+  function live(){
+    if (!window.EventSource) return;
+    const es = new EventSource("/admin/ui/events");
+    const onTicket = (e)=>{
+      let d; try { d = JSON.parse(e.data); } catch { return; }
+      const t = d?.ticket; if (!t) return;
+      const cur = cacheTickets.find(x => String(x.ticket_id)===String(t.ticket_id));
+      if (cur && Number(cur.version||0) >= Number(t.version||0)) return;
+      if (!cur) {
+        // not loaded: only add it when it clearly belongs in the current list
+        const st = $("#st").value || "all";
+        if (($("#q").value||"").trim() || (st!=="all" && t.status!==st)) return;
+        cacheTickets.unshift(t);
+      } else {
+        Object.assign(cur, t);
+      }
+      flashed.add(String(t.ticket_id));
+      render(cacheTickets);
+      if (e.type==="ticket.created") show("New ticket " + t.ticket_id);
+      else if (e.type==="ticket.reopened") show("Reopened " + t.ticket_id);
+    };
+    ["ticket.created","ticket.updated","ticket.reopened"].forEach(n => es.addEventListener(n, onTicket));
+    es.onopen  = ()=> $("#live").classList.add("on");
+    es.onerror = ()=> $("#live").classList.remove("on"); // EventSource retries by itself
+  }
+
+  // ---- bulk actions: tick rows, then apply one change to all of them
+  function syncBulk(shown){
+    for (const id of selected) if (!cacheTickets.some(t => String(t.ticket_id)===id)) selected.delete(id);
+    $("#bulk").style.display = selected.size ? "" : "none";
+    $("#bulk_n").textContent = selected.size;
+    const picked = shown.filter(t => selected.has(String(t.ticket_id))).length;
+    $("#pick_all").checked = shown.length > 0 && picked === shown.length;
+    $("#pick_all").indeterminate = picked > 0 && picked < shown.length;
+  }
+  $("#tbl tbody").addEventListener("change", (e)=>{
+    if (!e.target.classList.contains("pick")) return;
+    if (e.target.checked) selected.add(e.target.dataset.tid); else selected.delete(e.target.dataset.tid);
+    syncBulk(applyFilter(cacheTickets));
+  });
+  $("#pick_all").onchange = ()=>{
+    const on = $("#pick_all").checked;
+    applyFilter(cacheTickets).forEach(t => on ? selected.add(String(t.ticket_id)) : selected.delete(String(t.ticket_id)));
+    render(cacheTickets);
+  };
+  $("#bulk_clear").onclick = ()=>{ selected.clear(); render(cacheTickets); };
+
+  const BULK_ERRORS = {
+    ticket_closed_admin_locked: "closed (locked)",
+    conflict: "changed by someone else — reloaded, try again",
+    ticket_not_found: "not found"
+  };
+  $("#bulk_apply").onclick = async ()=>{
+    const picked = cacheTickets.filter(t => selected.has(String(t.ticket_id)));
+    if (!picked.length) return;
+    const body = { tickets: picked.map(t => ({ order_id: t.order_id, ticket_id: t.ticket_id, version: t.version || 0 })) };
+    if ($("#bulk_status").value) body.status = $("#bulk_status").value;
+    if ($("#bulk_assignee").value !== "keep") body.assignee = $("#bulk_assignee").value; // "" = unassign
+    if ($("#bulk_reply").value.trim()) body.reply = $("#bulk_reply").value.trim();
+    if (!body.status && body.assignee === undefined && !body.reply) return alert("Pick a status or an assignee, or type a reply.");
+    if (!confirm("Apply to " + picked.length + " ticket(s)?")) return;
+
+    $("#bulk_apply").disabled = true;
+    try {
+      const r = await fetch("/admin/ui/bulk-update", { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(body), credentials:"include" });
+      const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
+      if (!j.ok) return alert("Bulk update failed: " + (j.error||"unexpected"));
+      j.results.forEach(x => {
+        if (x.ok) { upsert(x.ticket); selected.delete(String(x.ticket_id)); flashed.add(String(x.ticket_id)); }
+        else if (x.ticket) upsert(x.ticket); // conflict: pick up the latest version
+      });
+      render(cacheTickets);
+      const failed = j.results.filter(x => !x.ok);
+      if (!failed.length) { $("#bulk_reply").value = ""; return show("Updated " + j.updated); }
+      alert("Updated " + j.updated + ", failed " + j.failed + " (still selected):\\n" +
+        failed.map(x => x.ticket_id + " — " + (BULK_ERRORS[x.error] || x.error)).join("\\n"));
+    } finally {
+      $("#bulk_apply").disabled = false;
+    }
+  };
+
+  Promise.all([loadStaff(), loadCategories()]).then(()=>{
+    $("#bulk_assignee").innerHTML = '<option value="keep">Assignee: keep</option>' + assigneeOptions(null);
+  }).then(()=>load()).then(live);
 })();
 </script>
 </body>
@@ -988,72 +3740,527 @@ app.get("/admin/panel", requireUIPage, (req, res) => {
 // Admin UI JSON for panel (cookie-guarded)
 app.get("/admin/ui/tickets", requireUIAuth, async (req, res) => {
   try {
-    const { since, status = "all", limit = 200 } = req.query || {};
-    const tickets = await collectTickets({ since, status: normalizeStatus(status), limit });
-    res.json({ ok: true, count: tickets.length, tickets });
+    const { tickets, next_cursor } = await store.listTickets(listFilter(req.query, req.staff));
+    res.json({ ok: true, count: tickets.length, tickets: tickets.map((t) => withSla(t)), next_cursor });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+// Order panel for the ticket modal (see fetchOrderContext); ?refresh=1 skips the cache
+app.get("/admin/ui/orders/:order_id/context", requireUIAuth, async (req, res) => {
+  try {
+    const orderId = String(req.params.order_id);
+    if (!/^\d+$/.test(orderId)) return res.status(400).json({ ok: false, error: "invalid_order_id" });
+    if (!SHOPIFY_SHOP || !ADMIN_TOKEN) return res.status(503).json({ ok: false, error: "shopify_not_configured" });
+    const order = await orderContext(orderId, { refresh: truthy(req.query.refresh) });
+    if (!order) return res.status(404).json({ ok: false, error: "order_not_found" });
+    res.json({ ok: true, order });
+  } catch (e) {
+    console.error("[order-context]", e);
+    res.status(502).json({ ok: false, error: String(e.message || e) });
+  }
+});
+// ---------- Shopify order actions (ticket modal)
+// refund (full, or partial with `amount`), cancel (unfulfilled orders only)
+// and return (all fulfilled items, or `items: [{ line_item_id, quantity }]`),
+// each a single Admin GraphQL mutation. Callers must send confirm: true (the
+// panel asks first). The action is claimed in the ticket's history as
+// { action: { type, pending: true } } before Shopify is called, then replaced by
+// { action: { type, ok, …result | error } } with the status unchanged; the
+// lowest role per action comes from ORDER_ACTION_ROLES.
+const ORDER_ACTIONS = ["refund", "cancel", "return"];
+const ORDER_ACTION_ROLES = (() => {
+  const roles = { refund: "supervisor", cancel: "supervisor", return: "agent" };
+  for (const pair of String(process.env.ORDER_ACTION_ROLES || "").split(",").filter((x) => x.trim())) {
+    const [action, role] = pair.split(":").map((x) => x.trim());
+    if (!ORDER_ACTIONS.includes(action) || !STAFF_ROLES.includes(role))
+      throw new Error(`ORDER_ACTION_ROLES: expected action:role pairs, got "${pair}"`);
+    roles[action] = role;
+  }
+  return roles;
+})();
+const canOrderAction = (user, action) => ROLE_RANK[user?.role] >= ROLE_RANK[ORDER_ACTION_ROLES[action]];
+const CANCEL_REASONS = ["CUSTOMER", "DECLINED", "FRAUD", "INVENTORY", "OTHER", "STAFF"];
+const ORDER_ACTION_CLAIM_MS = 10 * 60_000; // a claim older than this was abandoned (crash)
+const pendingOrderAction = (t) => (t.history || []).some((h) =>
+  h.action?.pending && Date.now() - Date.parse(h.at) < ORDER_ACTION_CLAIM_MS);
+const RETURN_REASONS = ["COLOR", "DEFECTIVE", "NOT_AS_DESCRIBED", "OTHER", "SIZE_TOO_LARGE", "SIZE_TOO_SMALL", "STYLE", "UNKNOWN", "UNWANTED", "WRONG_ITEM"];
+
+// Shopify rejected the mutation (userErrors) — recorded, sent back as 422
+function shopifyUserError(errors) {
+  return Object.assign(httpError(422, "shopify_user_error"), { detail: errors.map((e) => e.message).join("; ") });
+}
+
+async function loadOrderForAction(orderId) {
+  const d = await adminGraphQL(
+    `query OrderForAction($id: ID!) {
+      order(id: $id) {
+        id name cancelledAt displayFulfillmentStatus presentmentCurrencyCode
+        transactions(first: 50) {
+          id kind status gateway parentTransaction { id }
+          amountSet { presentmentMoney { amount } }
+        }
+        fulfillments(first: 10) {
+          fulfillmentLineItems(first: 50) { nodes { id quantity lineItem { id } } }
+        }
+      }
+    }`,
+    { id: `gid://shopify/Order/${orderId}` }
+  );
+  if (!d?.order) throw httpError(404, "order_not_found");
+  return d.order;
+}
+
+// Amounts are in the presentment currency (what the customer paid in). A split
+// tender (gift card + card, …) is refunded across its payments in order, each
+// up to what is still unrefunded on it.
+async function refundOrder(o, { amount, notify, note }) {
+  const paid = (t) => toCents(t.amountSet.presentmentMoney.amount);
+  const parents = o.transactions
+    .filter((t) => t.status === "SUCCESS" && (t.kind === "SALE" || t.kind === "CAPTURE"))
+    .map((t) => ({
+      ...t,
+      left: paid(t) - o.transactions
+        .filter((r) => r.kind === "REFUND" && r.status === "SUCCESS" && r.parentTransaction?.id === t.id)
+        .reduce((n, r) => n + paid(r), 0),
+    }))
+    .filter((t) => t.left > 0);
+  const refundable = parents.reduce((n, t) => n + t.left, 0);
+  if (!refundable) throw httpError(409, "nothing_to_refund");
+  let want = refundable; // full by default
+  if (amount !== undefined && amount !== null && amount !== "") {
+    if (!/^\d+(\.\d{1,2})?$/.test(String(amount)) || Number(amount) <= 0) throw httpError(400, "invalid_amount");
+    want = toCents(amount);
+    if (want > refundable) throw httpError(400, "amount_exceeds_refundable");
+  }
+  const transactions = [];
+  for (let rest = want, i = 0; rest > 0; i++) {
+    const cents = Math.min(rest, parents[i].left);
+    transactions.push({ orderId: o.id, parentId: parents[i].id, gateway: parents[i].gateway, kind: "REFUND", amount: (cents / 100).toFixed(2) });
+    rest -= cents;
+  }
+  const d = await adminGraphQL(
+    `mutation Refund($input: RefundInput!) {
+      refundCreate(input: $input) {
+        refund { id totalRefundedSet { presentmentMoney { amount currencyCode } } }
+        userErrors { field message }
+      }
+    }`,
+    { input: { orderId: o.id, currency: o.presentmentCurrencyCode, note, notify, transactions } }
+  );
+  const r = d.refundCreate;
+  if (r.userErrors?.length) throw shopifyUserError(r.userErrors);
+  const total = r.refund.totalRefundedSet?.presentmentMoney;
+  return {
+    shopify_id: r.refund.id,
+    amount: total?.amount || (want / 100).toFixed(2),
+    currency: total?.currencyCode || o.presentmentCurrencyCode,
+    full: want === refundable,
+    payments: transactions.length,
+  };
+}
+
+async function cancelOrder(o, { reason = "CUSTOMER", refund = true, restock = true, notify, note }) {
+  if (o.cancelledAt) throw httpError(409, "order_already_cancelled");
+  if (o.displayFulfillmentStatus !== "UNFULFILLED") throw httpError(409, "order_not_cancellable");
+  if (!CANCEL_REASONS.includes(reason)) throw httpError(400, "invalid_reason");
+  const d = await adminGraphQL(
+    `mutation Cancel($orderId: ID!, $reason: OrderCancelReason!, $refund: Boolean!, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+      orderCancel(orderId: $orderId, reason: $reason, refund: $refund, restock: $restock, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+        job { id }
+        orderCancelUserErrors { field message code }
+      }
+    }`,
+    { orderId: o.id, reason, refund: Boolean(refund), restock: Boolean(restock), notifyCustomer: notify, staffNote: note }
+  );
+  const r = d.orderCancel;
+  if (r.orderCancelUserErrors?.length) throw shopifyUserError(r.orderCancelUserErrors);
+  return { job_id: r.job?.id || null, reason, refund: Boolean(refund), restock: Boolean(restock) };
+}
+
+async function returnOrder(o, { items, reason = "OTHER", notify, note }) {
+  if (!RETURN_REASONS.includes(reason)) throw httpError(400, "invalid_reason");
+  const fulfilled = o.fulfillments.flatMap((f) => f.fulfillmentLineItems.nodes);
+  if (!fulfilled.length) throw httpError(409, "nothing_fulfilled");
+  let lines = fulfilled.map((f) => ({ fulfillmentLineItemId: f.id, quantity: f.quantity }));
+  if (items !== undefined) {
+    if (!Array.isArray(items) || !items.length) throw httpError(400, "invalid_items");
+    lines = items.map((it) => {
+      const f = fulfilled.find((x) => x.lineItem.id.split("/").pop() === String(it?.line_item_id));
+      const quantity = Number(it?.quantity ?? f?.quantity);
+      if (!f || !Number.isInteger(quantity) || quantity < 1 || quantity > f.quantity) throw httpError(400, "invalid_items");
+      return { fulfillmentLineItemId: f.id, quantity };
+    });
+  }
+  const d = await adminGraphQL(
+    `mutation Return($input: ReturnInput!) {
+      returnCreate(returnInput: $input) {
+        return { id name status }
+        userErrors { field message }
+      }
+    }`,
+    { input: {
+      orderId: o.id, notifyCustomer: notify,
+      returnLineItems: lines.map((l) => ({ ...l, returnReason: reason, returnReasonNote: note })),
+    } }
+  );
+  const r = d.returnCreate;
+  if (r.userErrors?.length) throw shopifyUserError(r.userErrors);
+  return { shopify_id: r.return.id, name: r.return.name, items: lines.reduce((n, l) => n + l.quantity, 0) };
+}
+
+const ORDER_ACTION_RUNNERS = { refund: refundOrder, cancel: cancelOrder, return: returnOrder };
+
+// { order_id, ticket_id, action, confirm: true, version?, amount?, items?, reason?, refund?, restock?, notify? }
+async function orderAction(req, res) {
+  try {
+    const { order_id, ticket_id, action } = req.body || {};
+    if (!order_id || !ticket_id) return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
+    if (!ORDER_ACTIONS.includes(action)) return res.status(400).json({ ok: false, error: "invalid_action" });
+    if (!canOrderAction(req.staff, action)) return res.status(403).json({ ok: false, error: "forbidden" });
+    if (req.body.confirm !== true) return res.status(400).json({ ok: false, error: "confirmation_required" });
+    if (!SHOPIFY_SHOP || !ADMIN_TOKEN) return res.status(503).json({ ok: false, error: "shopify_not_configured" });
+
+    const { ticket: prev } = await store.getTicket(order_id, ticket_id);
+    if (!prev) return res.status(404).json({ ok: false, error: "ticket_not_found" });
+    if (isClosed(prev.status)) return res.status(423).json({ ok: false, error: "ticket_closed_admin_locked" });
+    checkVersion(prev, req.body.version);
+    if (pendingOrderAction(prev)) return res.status(409).json({ ok: false, error: "order_action_in_progress" });
+
+    // Claim first: a concurrent request read the same version and gets a
+    // conflict here instead of reaching Shopify a second time.
+    const actor = staffActor(req.staff);
+    const claimedAt = new Date().toISOString();
+    const st = normalizeStatus(prev.status);
+    await store.saveTicket(order_id, {
+      ...prev,
+      history: [...(prev.history || []), { from: st, to: st, actor, at: claimedAt, action: { type: action, pending: true } }],
+      updated_at: claimedAt,
+      updated_by: actor,
+    }, prev.version);
+
+    const note = `Ticket ${ticket_id} (${actor.name})`;
+    let outcome = null;
+    let rejected = null;
+    try {
+      const o = await loadOrderForAction(String(order_id));
+      outcome = { type: action, ok: true, ...(await ORDER_ACTION_RUNNERS[action](o, { ...req.body, notify: truthy(req.body.notify), note })) };
+    } catch (e) {
+      if (e.status && e.status < 422) rejected = e; // bad input / wrong state: nothing was attempted
+      else {
+        if (!e.status) console.error("[order-action]", action, order_id, e);
+        outcome = { type: action, ok: false, error: e.detail || String(e.message || e) };
+      }
+    }
+    if (outcome) orderContextCache.delete(String(order_id));
+
+    // swap the claim for the outcome, or drop it when nothing was sent
+    const now = new Date().toISOString();
+    const [r] = await store.updateTickets(order_id, [ticket_id], (t) => ({
+      ...t,
+      history: (t.history || []).flatMap((h) =>
+        h.at === claimedAt && h.action?.pending ? (outcome ? [{ ...h, at: now, action: outcome }] : []) : [h]),
+      updated_at: now,
+      updated_by: actor,
+    }));
+    const ticket = r?.ok ? withSla(r.ticket) : null;
+    if (!r?.ok) console.error("[order-action] outcome not recorded", order_id, ticket_id, outcome, r?.error);
+    if (rejected) return res.status(rejected.status).json({ ok: false, error: rejected.message, ticket });
+    if (!outcome.ok) return res.status(502).json({ ok: false, error: "order_action_failed", detail: outcome.error, ticket });
+    res.json({ ok: true, result: outcome, ticket });
   } catch (e) {
+    if (e.code === "conflict") return sendConflict(res, e);
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[order-action]", e);
     res.status(500).json({ ok: false, error: String(e.message || e) });
   }
+}
+
+app.post("/admin/ui/order-actions", requireUIAuth, orderAction);
+app.get("/admin/ui/categories", requireUIAuth, (req, res) => {
+  res.json({ ok: true, categories: CATEGORIES, priorities: PRIORITIES });
+});
+app.get("/admin/ui/tickets/export", requireUIAuth, (req, res) => sendTicketExport(req, res, req.staff));
+// Customer attachment bytes for the panel. Images open inline (thumbnails);
+// PDFs and ?download=1 come back as a download.
+app.get("/admin/ui/attachments/:order_id/:ticket_id/:id", requireUIAuth, async (req, res) => {
+  try {
+    const { ticket } = await store.getTicket(req.params.order_id, req.params.ticket_id);
+    const att = (ticket?.attachments || []).find((a) => a.id === req.params.id);
+    if (!att) return res.status(404).json({ ok: false, error: "attachment_not_found" });
+    res.set({ "Cache-Control": "private, max-age=300", "Content-Security-Policy": "sandbox" });
+    if (truthy(req.query.download) || !att.content_type.startsWith("image/")) res.attachment(att.filename);
+    await attachments.send(res, att);
+  } catch (e) {
+    console.error("[attachments]", e);
+    if (!res.headersSent) res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
 });
 app.post("/admin/ui/update", requireUIAuth, async (req, res) => {
   try {
     const { order_id, ticket_id } = req.body || {};
-    const status = normalizeStatus(req.body?.status || "pending");
-    const reply  = typeof req.body?.reply === "string" ? req.body.reply.slice(0, 4000) : undefined;
     if (!order_id || !ticket_id)
       return res.status(400).json({ ok: false, error: "missing order_id/ticket_id" });
 
-    const orderGid = `gid://shopify/Order/${order_id}`;
-    const d1 = await adminGraphQL(
-      `query GetOrder($id:ID!){ order(id:$id){ name metafield(namespace:"support", key:"tickets"){ value } } }`,
-      { id: orderGid }
-    );
+    const { order, ticket: found } = await store.getTicket(order_id, ticket_id);
+    const prev = found || {};
+    checkVersion(prev, req.body?.version);
 
-    let map = {};
-    const raw = d1?.order?.metafield?.value;
-    if (raw) { try { map = JSON.parse(raw); } catch {} }
+    const next = staffUpdate({ prev, order, body: req.body, actor: staffActor(req.staff), now: new Date().toISOString() });
+    const ticket = await store.saveTicket(order_id, next, prev.version);
+    res.json({ ok: true, ticket: withSla(ticket) });
+  } catch (e) {
+    if (e.code === "conflict") return sendConflict(res, e);
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+app.post("/admin/ui/bulk-update", requireUIAuth, (req, res) => bulkUpdate(req, res, staffActor(req.staff)));
+// Customer email delivery log for one ticket (newest first)
+app.get("/admin/ui/tickets/:order_id/:ticket_id/emails", requireUIAuth, (req, res) => {
+  res.json({ ok: true, enabled: Boolean(mailQueue), emails: mailQueue ? mailQueue.list((j) => j.order_id === req.params.order_id && j.ticket_id === req.params.ticket_id) : [] });
+});
+app.post("/admin/ui/reopen", requireUIAuth, requireRole("supervisor"), (req, res) => reopenTicket(req, res, staffActor(req.staff)));
 
-    const now = new Date().toISOString();
-    const prev = map[ticket_id] || {};
+// Live updates for the panel (Server-Sent Events). Each event carries the
+// ticket in the /admin/ui/tickets record shape:
+//   event: ticket.created | ticket.updated | ticket.reopened
+//   data:  { order_id, ticket_id, ticket }
+// The session is re-checked on every heartbeat; the stream ends once it lapses.
+const SSE_HEARTBEAT_MS = 25 * 1000;
+app.get("/admin/ui/events", requireUIAuth, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
 
-    // HARD LOCK for UI/Admin: cannot update once closed
-    if (isClosed(prev.status)) {
-      return res.status(423).json({ ok:false, error:"ticket_closed_admin_locked" });
-    }
+  let seq = 0;
+  const onTicket = ({ type, order_id, ticket_id, ticket }) => {
+    const base = { order_id: Number(order_id) || order_id, order_name: ticket.order_name || "" };
+    const data = { order_id: base.order_id, ticket_id, ticket: withSla(toRecord(ticket, ticket_id, base)) };
+    res.write(`id: ${++seq}\nevent: ticket.${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => {
+    if (!uiSession(req)) return res.end();
+    res.write(": ping\n\n");
+  }, SSE_HEARTBEAT_MS);
 
-    map[ticket_id] = {
-      ...(prev || {}),
-      ticket_id,
-      status,
-      order_id,
-      order_name: prev.order_name || d1?.order?.name || "",
-      created_at: prev.created_at || now,
-      updated_at: now,
-      ...(reply !== undefined ? { admin_reply: reply } : {})
-    };
+  ticketEvents.on("ticket", onTicket);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    ticketEvents.off("ticket", onTicket);
+  });
+});
 
-    const d2 = await adminGraphQL(
-      `
-      mutation Save($ownerId:ID!, $value:String!, $tid:String!, $st:String!){
-        metafieldsSet(metafields:[
-          { ownerId:$ownerId, namespace:"support", key:"tickets", type:"json", value:$value },
-          { ownerId:$ownerId, namespace:"support", key:"ticket_id", type:"single_line_text_field", value:$tid },
-          { ownerId:$ownerId, namespace:"support", key:"ticket_status", type:"single_line_text_field", value:$st }
-        ]) { userErrors { field message } }
-      }`,
-      { ownerId: orderGid, value: JSON.stringify(map), tid: ticket_id, st: status }
-    );
+// ======================================================================
+// Staff accounts (supervisor/admin page + JSON)
+// ======================================================================
+function sendStaffError(res, e) {
+  if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+  console.error("[staff]", e);
+  return res.status(500).json({ ok: false, error: String(e.message || e) });
+}
 
-    const err = d2?.metafieldsSet?.userErrors?.[0];
-    if (err) throw new Error(err.message);
+// Directory for every signed-in user (names for attribution / assignment)
+app.get("/admin/ui/staff", requireUIAuth, (req, res) => {
+  res.json({ ok: true, me: publicStaff(req.staff), staff: staff.list().map(publicStaff) });
+});
 
-    res.json({ ok: true, ticket: map[ticket_id] });
+app.post("/admin/ui/staff", requireUIAuth, requireRole("supervisor"), async (req, res) => {
+  try {
+    const { username, name, role = "agent", password } = req.body || {};
+    if (!canManageRole(req.staff, role)) return res.status(403).json({ ok: false, error: "forbidden_role" });
+    const user = await staff.create({ username, name, role, password });
+    res.status(201).json({ ok: true, user: publicStaff(user) });
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+    sendStaffError(res, e);
+  }
+});
+
+// Edit name / role / disabled
+app.post("/admin/ui/staff/:id", requireUIAuth, requireRole("supervisor"), async (req, res) => {
+  try {
+    const target = staff.get(req.params.id);
+    if (!target) return res.status(404).json({ ok: false, error: "not_found" });
+    const { name, role, disabled } = req.body || {};
+    if (!canManageRole(req.staff, target.role)) return res.status(403).json({ ok: false, error: "forbidden_role" });
+    if (role !== undefined && !canManageRole(req.staff, role))
+      return res.status(403).json({ ok: false, error: "forbidden_role" });
+    if (target.id === req.staff.id && (disabled === true || (role !== undefined && role !== target.role)))
+      return res.status(400).json({ ok: false, error: "cannot_change_own_access" });
+    const user = await staff.update(target.id, { name, role, disabled });
+    res.json({ ok: true, user: publicStaff(user) });
+  } catch (e) {
+    sendStaffError(res, e);
+  }
+});
+
+app.post("/admin/ui/staff/:id/password", requireUIAuth, requireRole("supervisor"), async (req, res) => {
+  try {
+    const target = staff.get(req.params.id);
+    if (!target) return res.status(404).json({ ok: false, error: "not_found" });
+    if (target.id !== req.staff.id && !canManageRole(req.staff, target.role))
+      return res.status(403).json({ ok: false, error: "forbidden_role" });
+    const user = await staff.update(target.id, { password: String(req.body?.password || "") });
+    if (user.id === req.staff.id) {
+      // own reset ends the current session too — hand out a fresh cookie
+      res.cookie("ui_session", makeToken(user), { httpOnly: true, sameSite: "Strict", secure: isSecure(req), path: "/admin" });
+    }
+    res.json({ ok: true, user: publicStaff(user) });
+  } catch (e) {
+    sendStaffError(res, e);
+  }
+});
+
+app.get("/admin/staff", requireUIPage, (req, res) => {
+  if (ROLE_RANK[req.staff.role] < ROLE_RANK.supervisor) return res.redirect("/admin/panel");
+  const nonce = crypto.randomBytes(16).toString("base64");
+  res.setHeader(
+    "Content-Security-Policy",
+    `default-src 'self'; script-src 'self' 'nonce-${nonce}'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; base-uri 'self'; frame-ancestors 'none'`
+  );
+  const roles = STAFF_ROLES.filter((r) => canManageRole(req.staff, r));
+
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>ZUVIC • Staff accounts</title>
+<style>
+  :root{ --fg:#0f172a; --muted:#64748b; --border:#e5e7eb; --primary:#1d4ed8; --pill:#eef2ff; --pillfg:#3730a3; }
+  *{box-sizing:border-box}
+  body{margin:0;background:#fff;color:var(--fg);font:13px/1.45 system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif}
+  a{color:var(--primary);text-decoration:none}
+  .wrap{padding:20px 20px 32px;max-width:1100px}
+  .topbar{display:flex;align-items:center;justify-content:space-between;margin-bottom:12px}
+  .title{font-size:24px;font-weight:700}
+  .card{border:1px solid var(--border);border-radius:14px;padding:14px;margin-bottom:14px}
+  .add{display:grid;grid-template-columns:repeat(4,minmax(120px,1fr)) auto;gap:8px;align-items:end}
+  label{font-size:11px;color:var(--muted);display:grid;gap:5px}
+  select,input,button{height:34px;border:1px solid var(--border);border-radius:8px;background:#fff;color:var(--fg);font-size:13px;padding:0 10px}
+  button{cursor:pointer}
+  button.btn{border-color:var(--primary);background:var(--primary);color:#fff}
+  table{width:100%;border-collapse:collapse}
+  th,td{padding:10px 12px;text-align:left;border-top:1px solid var(--border)}
+  thead th{border-top:0;background:#fafafa}
+  .pill{display:inline-block;padding:3px 9px;border-radius:999px;background:var(--pill);color:var(--pillfg);font-size:12px}
+  .pill.off{background:#fee2e2;color:#991b1b}
+  .row-actions{display:flex;gap:6px;flex-wrap:wrap}
+  .muted{color:var(--muted)}
+  .toast{position:fixed;right:14px;bottom:14px;background:#111827;color:#fff;padding:9px 11px;border-radius:10px;opacity:0;transform:translateY(8px);transition:.2s}
+  .toast.show{opacity:1;transform:translateY(0)}
+</style>
+</head>
+<body>
+<div class="wrap">
+  <div class="topbar">
+    <div class="title">Staff accounts</div>
+    <div><a href="/admin/panel">← Tickets</a> &nbsp; <a href="/admin/logout">Logout</a></div>
+  </div>
+
+  <form class="card add" id="add">
+    <label>Username <input name="username" required autocomplete="off" spellcheck="false"></label>
+    <label>Name <input name="name"></label>
+    <label>Role
+      <select name="role">${roles.map((r) => `<option value="${r}">${r}</option>`).join("")}</select>
+    </label>
+    <label>Password <input name="password" type="password" minlength="8" required autocomplete="new-password"></label>
+    <button class="btn" type="submit">Add account</button>
+  </form>
+
+  <div class="card">
+    <table id="tbl">
+      <thead><tr><th>Username</th><th>Name</th><th>Role</th><th>Status</th><th>Created</th><th>Actions</th></tr></thead>
+      <tbody><tr><td colspan="6" class="muted">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+<div id="toast" class="toast"></div>
+
+<script nonce="${nonce}">
+(function(){
+  const $ = (s)=>document.querySelector(s);
+  const esc = (v)=> String(v ?? "").replace(/[&<>"']/g, ch => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
+  const fmt = (d)=> d ? new Date(d).toLocaleString() : "—";
+  const show = (msg)=>{ const t=$("#toast"); t.textContent=msg; t.classList.add("show"); setTimeout(()=>t.classList.remove("show"), 1100); };
+  const ROLES = ${JSON.stringify(roles)};
+  let me = null;
+
+  async function post(url, body){
+    const r = await fetch(url, { method:"POST", headers:{"Content-Type":"application/json"}, body:JSON.stringify(body), credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false,error:"bad_json"}));
+    if (!j.ok) alert("Failed: " + (j.error||"unexpected"));
+    return j.ok ? j : null;
+  }
+
+  function row(u){
+    const manageable = ROLES.includes(u.role);
+    const self = me && u.id === me.id;
+    const role = manageable && !self
+      ? '<select class="role" data-id="'+esc(u.id)+'">'+ROLES.map(r=>'<option'+(r===u.role?' selected':'')+'>'+r+'</option>').join("")+'</select>'
+      : '<span class="pill">'+esc(u.role)+'</span>';
+    const actions = (manageable || self)
+      ? '<div class="row-actions">'
+        + (self ? '' : '<button class="toggle" data-id="'+esc(u.id)+'" data-off="'+(u.disabled?1:0)+'">'+(u.disabled?'Enable':'Disable')+'</button>')
+        + '<button class="reset" data-id="'+esc(u.id)+'" data-name="'+esc(u.username)+'">Reset password</button></div>'
+      : '<span class="muted">—</span>';
+    return '<tr><td>'+esc(u.username)+(self?' <span class="muted">(you)</span>':'')+'</td><td>'+esc(u.name)+'</td><td>'+role+'</td>'
+      + '<td><span class="pill'+(u.disabled?' off':'')+'">'+(u.disabled?'disabled':'active')+'</span></td>'
+      + '<td>'+esc(fmt(u.created_at))+'</td><td>'+actions+'</td></tr>';
+  }
+
+  async function load(){
+    const r = await fetch("/admin/ui/staff", { credentials:"include" });
+    const j = await r.json().catch(()=>({ok:false}));
+    me = j.me || null;
+    const list = Array.isArray(j.staff) ? j.staff : [];
+    $("#tbl tbody").innerHTML = list.map(row).join("") || '<tr><td colspan="6" class="muted">No accounts</td></tr>';
+    document.querySelectorAll("#tbl .role").forEach(sel=>{
+      sel.onchange = async ()=>{ if (await post("/admin/ui/staff/"+encodeURIComponent(sel.dataset.id), { role: sel.value })) show("Role updated"); load(); };
+    });
+    document.querySelectorAll("#tbl .toggle").forEach(b=>{
+      b.onclick = async ()=>{ if (await post("/admin/ui/staff/"+encodeURIComponent(b.dataset.id), { disabled: b.dataset.off !== "1" })) show("Saved"); load(); };
+    });
+    document.querySelectorAll("#tbl .reset").forEach(b=>{
+      b.onclick = async ()=>{
+        const pw = prompt("New password for "+b.dataset.name+" (min 8 characters)");
+        if (!pw) return;
+        if (await post("/admin/ui/staff/"+encodeURIComponent(b.dataset.id)+"/password", { password: pw })) show("Password reset");
+      };
+    });
   }
+
+  $("#add").onsubmit = async (e)=>{
+    e.preventDefault();
+    const body = Object.fromEntries(new FormData(e.target).entries());
+    if (await post("/admin/ui/staff", body)) { e.target.reset(); show("Account added"); load(); }
+  };
+
+  load();
+})();
+</script>
+</body>
+</html>`);
 });
 
 // ----------------------------------------------------------------------
+if (store.index && SHOPIFY_SHOP && ADMIN_TOKEN) store.index.start();
+mailQueue?.start();
+webhookQueue?.start();
+if (AUTO_CLOSE.days > 0) {
+  const tick = () => runAutoClose().catch((e) => {
+    if (e.status !== 409) console.error("[auto-close] run failed", e); // 409: a manual pass is running
+  });
+  setTimeout(tick, 30_000).unref();
+  setInterval(tick, AUTO_CLOSE.interval_ms).unref();
+}
+
 app.listen(PORT, () =>
   console.log(`[server] listening on :${PORT} mount=${PROXY_MOUNT} api=${API_VERSION}`)
 );